@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Signed links for one-click actions in reminder emails and SMS.
+//
+// A token is "<expiry>.<signature>" where the HMAC covers the action, the
+// reminder ID and the expiry. The action and ID travel in the URL, so a token
+// minted for "complete" can't be replayed against "reschedule" or another
+// reminder, and the whole thing stays short enough for SMS links.
+
+const ACTIONS = ['complete', 'reschedule', 'snooze'];
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Without a secret no links can be signed; reminders then go out without them
+const hasActionTokenSecret = () => !!process.env.ACTION_TOKEN_SECRET;
+
+const getSecret = () => {
+  if (!process.env.ACTION_TOKEN_SECRET) {
+    throw new Error('ACTION_TOKEN_SECRET not configured');
+  }
+  return process.env.ACTION_TOKEN_SECRET;
+};
+
+const getTtlMs = () => {
+  const hours = parseFloat(process.env.ACTION_TOKEN_TTL_HOURS);
+  return hours > 0 ? hours * 60 * 60 * 1000 : DEFAULT_TTL_MS;
+};
+
+const sign = (action, reminderId, expiresAt) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${action}:${reminderId}:${expiresAt}`)
+  .digest()
+  .subarray(0, 16)
+  .toString('base64url');
+
+const createActionToken = (action, reminderId, now = Date.now()) => {
+  if (!ACTIONS.includes(action)) throw new Error(`Unknown action: ${action}`);
+  const expiresAt = Math.floor((now + getTtlMs()) / 1000).toString(36);
+  return `${expiresAt}.${sign(action, reminderId, expiresAt)}`;
+};
+
+// Returns { valid: true } or { valid: false, reason: 'invalid' | 'expired' }.
+// The signature is checked before the expiry so a forged token never reports
+// "expired".
+const verifyActionToken = (token, action, reminderId, now = Date.now()) => {
+  const [expiresAt, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+  if (!expiresAt || !signature || rest.length || !ACTIONS.includes(action)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(action, reminderId, expiresAt));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (parseInt(expiresAt, 36) * 1000 < now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true };
+};
+
+// Reply-to addresses (reply+<id>.<token>@...) carry their own token: hex,
+// because some mail servers lowercase the local part, and with no expiry,
+// because a reply can come in any time after the email went out.
+const signReply = (reminderId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`reply:${reminderId}`)
+  .digest()
+  .subarray(0, 12)
+  .toString('hex');
+
+const createReplyToken = (reminderId) => signReply(reminderId);
+
+const verifyReplyToken = (token, reminderId) => {
+  if (typeof token !== 'string' || !/^[0-9a-f]{24}$/i.test(token)) return false;
+  return crypto.timingSafeEqual(Buffer.from(signReply(reminderId)), Buffer.from(token.toLowerCase()));
+};
+
+module.exports = { ACTIONS, hasActionTokenSecret, createActionToken, verifyActionToken, createReplyToken, verifyReplyToken };
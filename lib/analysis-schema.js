@@ -0,0 +1,121 @@
+// The shape of a memo analysis, declared once as JSON Schema. The same object
+// is the input_schema of the tool Claude calls to return its analysis, and what
+// validateAnalysis checks the result against before it reaches the client.
+
+const { checkSchema } = require('./json-schema');
+
+const PRIORITIES = ['urgent', 'normal', 'low'];
+const CATEGORIES = ['work', 'personal', 'health', 'shopping', 'calls', 'other'];
+// Changes a memo can make to one of the user's existing reminders
+const ACTION_TYPES = ['complete', 'reschedule', 'update'];
+const MAX_SUBJECT_LENGTH = 80;
+const LOCAL_DATE_TIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$';
+
+// Readable names for patterns in error messages
+const PATTERN_FORMATS = {
+  [LOCAL_DATE_TIME_PATTERN]: 'YYYY-MM-DDTHH:mm'
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['tasks', 'emailDraft', 'emailSubject', 'suggestedSendTimeLocal', 'recurrence'],
+  properties: {
+    // May be empty when the memo only changes existing reminders (see
+    // validateAnalysis)
+    tasks: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['description', 'suggestedDate', 'priority', 'category'],
+        properties: {
+          description: { type: 'string', minLength: 1, maxLength: 500, description: 'Clear task description' },
+          suggestedDate: {
+            type: ['string', 'null'],
+            maxLength: 100,
+            description: 'Human-readable date/time, e.g. "Tomorrow morning" or "Monday at 9am"'
+          },
+          priority: { type: 'string', enum: PRIORITIES },
+          category: { type: 'string', enum: CATEGORIES }
+        }
+      }
+    },
+    emailDraft: { type: 'string', minLength: 1, maxLength: 5000, description: 'Reminder email for the main task' },
+    emailSubject: {
+      type: 'string',
+      minLength: 1,
+      maxLength: MAX_SUBJECT_LENGTH,
+      description: 'Concise, action-oriented subject line (6-8 words)'
+    },
+    suggestedSendTimeLocal: {
+      type: ['string', 'null'],
+      pattern: LOCAL_DATE_TIME_PATTERN,
+      description: 'Local wall-clock send time as YYYY-MM-DDTHH:mm, no offset'
+    },
+    recurrence: {
+      type: ['string', 'null'],
+      description: 'iCalendar RRULE if the memo describes something that repeats, otherwise null'
+    },
+    actions: {
+      type: 'array',
+      maxItems: 10,
+      description: "Changes to the user's existing reminders that the memo asks for",
+      items: {
+        type: 'object',
+        required: ['type', 'reminderRef', 'reason'],
+        properties: {
+          type: { type: 'string', enum: ACTION_TYPES },
+          reminderRef: { type: 'string', maxLength: 10, description: 'Reference of an existing reminder from the list, e.g. "R2"' },
+          reason: { type: 'string', minLength: 1, maxLength: 200, description: 'Short explanation shown to the user' },
+          newDate: {
+            type: ['string', 'null'],
+            maxLength: 100,
+            description: 'For reschedule: human-readable new date/time, e.g. "Friday at 3pm"; null for the memo\'s send time'
+          },
+          addTasks: {
+            type: 'array',
+            maxItems: 10,
+            items: { type: 'string', minLength: 1, maxLength: 500 },
+            description: 'For update: task descriptions to add to the reminder'
+          },
+          emailSubject: {
+            type: ['string', 'null'],
+            maxLength: MAX_SUBJECT_LENGTH,
+            description: 'For update: a new subject line, or null to keep the current one'
+          }
+        }
+      }
+    }
+  }
+};
+
+// Raised when an analysis doesn't match the schema; `fields` lists each
+// problem as { field, message } with paths like "tasks[0].priority"
+class AnalysisValidationError extends Error {
+  constructor(fields) {
+    super(`Analysis failed validation: ${fields.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+    this.name = 'AnalysisValidationError';
+    this.code = 'invalid_analysis';
+    this.fields = fields;
+  }
+}
+
+// Returns a list of { field, message }; empty when the analysis is valid. A
+// memo needs at least one new task unless it only changes existing reminders.
+const validateAnalysis = (analysis) => {
+  const errors = checkSchema(ANALYSIS_SCHEMA, analysis, { formats: PATTERN_FORMATS });
+  if (Array.isArray(analysis?.tasks) && !analysis.tasks.length && !analysis.actions?.length) {
+    errors.push({ field: 'tasks', message: 'must have at least 1 item(s) unless actions are given' });
+  }
+  return errors.map(error => ({ ...error, field: error.field || 'analysis' }));
+};
+
+module.exports = {
+  PRIORITIES,
+  CATEGORIES,
+  ACTION_TYPES,
+  MAX_SUBJECT_LENGTH,
+  ANALYSIS_SCHEMA,
+  AnalysisValidationError,
+  validateAnalysis
+};
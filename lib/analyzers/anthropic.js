@@ -0,0 +1,63 @@
+// Claude analyzer. Claude returns its analysis by calling a tool, so the SDK
+// hands back parsed input matching ANALYSIS_SCHEMA instead of free text.
+
+const { ANALYSIS_SCHEMA, AnalysisValidationError, validateAnalysis } = require('../analysis-schema');
+const { ANALYSIS_TOOL_NAME, ANALYSIS_TOOL_DESCRIPTION, buildAnalysisPrompt, describeProblems } = require('./prompt');
+const { logger } = require('../logger');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const ANALYSIS_TOOL = {
+  name: ANALYSIS_TOOL_NAME,
+  description: ANALYSIS_TOOL_DESCRIPTION,
+  input_schema: ANALYSIS_SCHEMA
+};
+
+const createAnthropicAnalyzer = ({ client, model = DEFAULT_MODEL }) => ({
+  name: 'anthropic',
+  model,
+
+  // If the analysis doesn't match the schema, the problems are sent back once
+  // for Claude to correct; a second invalid answer throws AnalysisValidationError
+  analyze: async ({ onDelta, onUsage, ...input }) => {
+    const messages = [{ role: 'user', content: buildAnalysisPrompt(input) }];
+
+    for (let attempt = 1; ; attempt++) {
+      const request = {
+        model,
+        max_tokens: 1500,
+        tools: [ANALYSIS_TOOL],
+        tool_choice: { type: 'tool', name: ANALYSIS_TOOL_NAME },
+        messages
+      };
+      const message = onDelta
+        ? await client.messages.stream(request).on('inputJson', delta => onDelta(delta, attempt)).finalMessage()
+        : await client.messages.create(request);
+
+      onUsage?.({ inputTokens: message.usage?.input_tokens ?? 0, outputTokens: message.usage?.output_tokens ?? 0 });
+
+      const toolUse = message.content.find(block => block.type === 'tool_use');
+      logger.debug('Claude analysis', { attempt, input: toolUse?.input, usage: message.usage });
+
+      const errors = toolUse
+        ? validateAnalysis(toolUse.input)
+        : [{ field: 'analysis', message: `was not returned with the ${ANALYSIS_TOOL_NAME} tool` }];
+      if (!errors.length) return toolUse.input;
+
+      logger.warn('Claude analysis failed validation', { attempt, errors });
+      if (attempt > 1) throw new AnalysisValidationError(errors);
+
+      messages.push({ role: 'assistant', content: message.content });
+      messages.push({
+        role: 'user',
+        content: toolUse
+          ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: describeProblems(errors) }]
+          : describeProblems(errors)
+      });
+    }
+  },
+
+  probe: () => client.models.retrieve(model)
+});
+
+module.exports = { DEFAULT_MODEL, createAnthropicAnalyzer };
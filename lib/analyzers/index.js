@@ -0,0 +1,60 @@
+// Task analyzers turn a transcript into an analysis matching ANALYSIS_SCHEMA.
+// Every analyzer has the same shape:
+//
+//   { name, model, analyze({ transcript, timeZone, now, onDelta, onUsage }) -> Promise<analysis>,
+//     probe?() -> Promise }
+//
+// onDelta (optional) is called with each piece of the analysis JSON as the
+// model writes it, and the attempt number; a repair attempt starts over.
+// onUsage (optional) is called with { inputTokens, outputTokens } after each
+// call to the model. probe() checks the provider can be reached, without
+// spending tokens, for the deep health check; the mock has none.
+//
+// ANALYZER_PROVIDER picks one of 'anthropic', 'openai' or 'mock'; left unset
+// it is Anthropic when ANTHROPIC_API_KEY is set and the offline mock
+// otherwise. ANALYZER_MODEL overrides the provider's default model.
+
+const { createAnthropicAnalyzer, DEFAULT_MODEL: ANTHROPIC_DEFAULT_MODEL } = require('./anthropic');
+const { createOpenAIAnalyzer, DEFAULT_MODEL: OPENAI_DEFAULT_MODEL } = require('./openai');
+const { createMockAnalyzer } = require('./mock');
+const { logger } = require('../logger');
+
+const PROVIDERS = ['anthropic', 'openai', 'mock'];
+
+const API_KEYS = {
+  anthropic: 'ANTHROPIC_API_KEY',
+  openai: 'OPENAI_API_KEY'
+};
+
+const DEFAULT_MODELS = {
+  anthropic: ANTHROPIC_DEFAULT_MODEL,
+  openai: OPENAI_DEFAULT_MODEL
+};
+
+// Build the configured analyzer. A provider whose API key is missing falls
+// back to the mock with a warning rather than failing every request.
+const createAnalyzer = ({ anthropic, openai, env = process.env }) => {
+  let provider = (env.ANALYZER_PROVIDER || (env.ANTHROPIC_API_KEY ? 'anthropic' : 'mock')).toLowerCase();
+
+  if (!PROVIDERS.includes(provider)) {
+    logger.warn('Unknown ANALYZER_PROVIDER, using mock analyzer', { provider });
+    provider = 'mock';
+  }
+  if (API_KEYS[provider] && !env[API_KEYS[provider]]) {
+    logger.warn(`${API_KEYS[provider]} not set, using mock analyzer`, { provider });
+    provider = 'mock';
+  }
+
+  const model = env.ANALYZER_MODEL || DEFAULT_MODELS[provider];
+
+  switch (provider) {
+    case 'anthropic':
+      return createAnthropicAnalyzer({ client: anthropic, model });
+    case 'openai':
+      return createOpenAIAnalyzer({ client: openai, model });
+    default:
+      return createMockAnalyzer();
+  }
+};
+
+module.exports = { PROVIDERS, DEFAULT_MODELS, createAnalyzer };
@@ -0,0 +1,159 @@
+// Rule-based analyzer that needs no network or API key, for development,
+// demos and offline use. Splits the transcript into tasks, reads dates with
+// the date parser and picks priority, category and recurrence from keywords.
+// A sentence that completes, moves or adds to one of the user's reminders
+// (matched on shared words) becomes an action instead of a task. The same
+// transcript always gives the same analysis.
+
+const { ANALYSIS_SCHEMA, MAX_SUBJECT_LENGTH } = require('../analysis-schema');
+const { parseDatePhrase } = require('../date-parser');
+
+const MAX_DESCRIPTION_LENGTH = ANALYSIS_SCHEMA.properties.tasks.items.properties.description.maxLength;
+
+const URGENT_WORDS = /\b(urgent|urgently|asap|deadline|important|critical|emergency|immediately)\b/i;
+const LOW_WORDS = /\b(sometime|someday|eventually|no rush|whenever|if i get a chance)\b/i;
+
+// First match wins
+const CATEGORY_WORDS = [
+  ['health', /\b(doctor|dentist|pharmacy|prescription|medicine|meds|appointment|clinic|hospital|therapy|vet|checkup|gym)\b/i],
+  ['calls', /\b(call|phone|ring|text|dial)\b/i],
+  ['shopping', /\b(buy|pick up|grocer(?:y|ies)|shop|shopping|order|milk|store)\b/i],
+  ['work', /\b(meeting|email|report|client|deck|presentation|invoice|boss|standup|project|deadline|review|slides)\b/i],
+  ['personal', /\b(mom|dad|family|birthday|friend|home|laundry|clean|rent|bills?)\b/i]
+];
+
+const WEEKDAY_CODES = { sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA' };
+
+// The RRULE for "every day", "every weekday", "every monday and thursday",
+// "every other week", "every month" and similar, or null
+const detectRecurrence = (text) => {
+  if (/\b(every ?day|daily|each day)\b/i.test(text)) return 'FREQ=DAILY';
+  if (/\b(every|each) weekday\b/i.test(text)) return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+
+  const weekdays = /\b(?:every|each) ((?:(?:sun|mon|tues|wednes|thurs|fri|satur)day(?:s)?(?:,\s*|\s+and\s+|\s+)?)+)/i.exec(text);
+  if (weekdays) {
+    const codes = [...weekdays[1].toLowerCase().matchAll(/(sun|mon|tues|wednes|thurs|fri|satur)day/g)]
+      .map(match => WEEKDAY_CODES[match[0]]);
+    return `FREQ=WEEKLY;BYDAY=${[...new Set(codes)].join(',')}`;
+  }
+
+  if (/\b(every other week|biweekly|every two weeks)\b/i.test(text)) return 'FREQ=WEEKLY;INTERVAL=2';
+  if (/\b(every week|weekly|each week)\b/i.test(text)) return 'FREQ=WEEKLY';
+  if (/\b(every month|monthly|each month)\b/i.test(text)) return 'FREQ=MONTHLY';
+  if (/\b(every year|yearly|annually|each year)\b/i.test(text)) return 'FREQ=YEARLY';
+  return null;
+};
+
+// Split "buy milk and then call mom. Also book the dentist" into separate tasks
+const splitTasks = (text) => text
+  .split(/(?:[.!?;]\s+|\s+(?:and then|and also|also|then)\s+)/i)
+  .map(part => part.trim().replace(/^(?:(?:also|and|then|please|remind me to|i need to|i have to|i should|remember to|don't forget to|make sure to|need to)\s+)+/i, '').replace(/[.!?;]+$/, ''))
+  .filter(part => part.split(/\s+/).length >= 2);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const MAX_REASON_LENGTH = ANALYSIS_SCHEMA.properties.actions.items.properties.reason.maxLength;
+
+const COMPLETE_WORDS = /\b(?:i (?:already |just )?(?:did|finished|called|paid|sent|bought|booked|emailed)|already done|(?:is|are) done|done with|took care of|mark (?:\w+ )?(?:as )?(?:done|complete))\b/i;
+const RESCHEDULE_WORDS = /\b(?:move|reschedule|push|postpone|bump|remind me (?:again|later))\b/i;
+const UPDATE_WORDS = /\badd (.+?) to (?:the|my) (.+)/i;
+
+// Words too common to tell reminders apart, including dates and times
+const STOP_WORDS = new Set(('the and for with about again that this thing stuff remind move reschedule push postpone bump '
+  + 'already just done did finished mark complete add please tomorrow today tonight morning afternoon evening night '
+  + 'next week month monday tuesday wednesday thursday friday saturday sunday').split(' '));
+
+const keywords = (text) => new Set((text.toLowerCase().match(/[a-z0-9']+/g) || [])
+  .filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+
+// The reminder sharing the most words with `text`, or null when none share any
+const findReminder = (text, reminders) => {
+  const wanted = keywords(text);
+  let best = null;
+  let bestScore = 0;
+  for (const reminder of reminders) {
+    const words = keywords([reminder.subject, ...reminder.tasks].join(' '));
+    const score = [...wanted].filter(word => words.has(word)).length;
+    if (score > bestScore) {
+      best = reminder;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// An action for a sentence that's about an existing reminder, or null
+const detectAction = (sentence, reminders, { now, timeZone }) => {
+  const update = UPDATE_WORDS.exec(sentence);
+  const target = findReminder(update ? update[2] : sentence, reminders);
+  if (!target) return null;
+
+  const action = { reminderRef: target.ref, newDate: null, addTasks: [], emailSubject: null };
+  if (update) {
+    return { ...action, type: 'update', addTasks: [capitalize(update[1])], reason: `Adds "${update[1]}" to "${target.subject}"` };
+  }
+  if (COMPLETE_WORDS.test(sentence)) {
+    return { ...action, type: 'complete', reason: `You said "${target.subject}" is done` };
+  }
+  if (RESCHEDULE_WORDS.test(sentence)) {
+    const date = parseDatePhrase(sentence, { now, timeZone });
+    return {
+      ...action,
+      type: 'reschedule',
+      newDate: date ? date.text : null,
+      reason: date ? `Moves "${target.subject}" to ${date.text}` : `Reminds you about "${target.subject}" again`
+    };
+  }
+  return null;
+};
+
+const createMockAnalyzer = () => ({
+  name: 'mock',
+  model: 'rule-based',
+
+  analyze: async ({ transcript, timeZone, now = new Date(), reminders = [], onDelta }) => {
+    const text = String(transcript || '').trim().replace(/\s+/g, ' ');
+    const parts = splitTasks(text);
+    const actions = [];
+    const sentences = (parts.length ? parts : [text]).filter(sentence => {
+      const action = reminders.length ? detectAction(sentence, reminders, { now, timeZone }) : null;
+      if (action) actions.push({ ...action, reason: action.reason.slice(0, MAX_REASON_LENGTH) });
+      return !action;
+    });
+    const memoDate = parseDatePhrase(sentences.join('. '), { now, timeZone });
+
+    const tasks = sentences.map(sentence => {
+      const date = parseDatePhrase(sentence, { now, timeZone }) || memoDate;
+      const category = CATEGORY_WORDS.find(([, pattern]) => pattern.test(sentence));
+      return {
+        description: capitalize(sentence).slice(0, MAX_DESCRIPTION_LENGTH),
+        suggestedDate: date ? capitalize(date.text) : null,
+        priority: URGENT_WORDS.test(sentence) ? 'urgent' : LOW_WORDS.test(sentence) ? 'low' : 'normal',
+        category: category ? category[0] : 'other'
+      };
+    });
+
+    // A memo that only changes existing reminders has no main task to write about
+    const main = tasks[0];
+    const subject = (main ? main.description : actions[0].reason).split(' ').slice(0, 8).join(' ').slice(0, MAX_SUBJECT_LENGTH);
+
+    const analysis = {
+      tasks,
+      emailDraft: main
+        ? `Hi! Just a reminder: ${main.description}${main.suggestedDate ? ` (${main.suggestedDate.toLowerCase()})` : ''}.`
+          + (tasks.length > 1 ? ` You also mentioned: ${tasks.slice(1).map(task => task.description).join('; ')}.` : '')
+        : `Hi! Changes to your reminders: ${actions.map(action => action.reason).join('; ')}.`,
+      emailSubject: subject,
+      // Left to the server, which schedules from the tasks' parsed dates
+      suggestedSendTimeLocal: null,
+      recurrence: detectRecurrence(text),
+      actions
+    };
+
+    // Nothing to stream, so the whole answer is one delta
+    if (onDelta) onDelta(JSON.stringify(analysis), 1);
+    return analysis;
+  }
+});
+
+module.exports = { createMockAnalyzer };
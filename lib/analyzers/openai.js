@@ -0,0 +1,77 @@
+// OpenAI analyzer, using a forced function call so the model's arguments
+// follow ANALYSIS_SCHEMA.
+
+const { ANALYSIS_SCHEMA, AnalysisValidationError, validateAnalysis } = require('../analysis-schema');
+const { ANALYSIS_TOOL_NAME, ANALYSIS_TOOL_DESCRIPTION, buildAnalysisPrompt, describeProblems } = require('./prompt');
+const { logger } = require('../logger');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const ANALYSIS_FUNCTION = {
+  type: 'function',
+  function: {
+    name: ANALYSIS_TOOL_NAME,
+    description: ANALYSIS_TOOL_DESCRIPTION,
+    parameters: ANALYSIS_SCHEMA
+  }
+};
+
+// Function arguments arrive as a JSON string; a parse failure is reported
+// like any other invalid field so it gets the same repair attempt
+const parseArguments = (toolCall) => {
+  if (!toolCall) {
+    return { errors: [{ field: 'analysis', message: `was not returned with the ${ANALYSIS_TOOL_NAME} function` }] };
+  }
+  try {
+    const analysis = JSON.parse(toolCall.function.arguments);
+    return { analysis, errors: validateAnalysis(analysis) };
+  } catch {
+    return { errors: [{ field: 'analysis', message: 'was not valid JSON' }] };
+  }
+};
+
+const createOpenAIAnalyzer = ({ client, model = DEFAULT_MODEL }) => ({
+  name: 'openai',
+  model,
+
+  analyze: async ({ onDelta, onUsage, ...input }) => {
+    const messages = [{ role: 'user', content: buildAnalysisPrompt(input) }];
+
+    for (let attempt = 1; ; attempt++) {
+      const request = {
+        model,
+        max_tokens: 1500,
+        tools: [ANALYSIS_FUNCTION],
+        tool_choice: { type: 'function', function: { name: ANALYSIS_TOOL_NAME } },
+        messages
+      };
+      // Streamed completions only report usage when asked to
+      const completion = onDelta
+        ? await client.chat.completions.stream({ ...request, stream_options: { include_usage: true } })
+          .on('tool_calls.function.arguments.delta', event => onDelta(event.arguments_delta, attempt))
+          .finalChatCompletion()
+        : await client.chat.completions.create(request);
+
+      onUsage?.({ inputTokens: completion.usage?.prompt_tokens ?? 0, outputTokens: completion.usage?.completion_tokens ?? 0 });
+
+      const message = completion.choices[0].message;
+      const toolCall = message.tool_calls?.[0];
+      logger.debug('OpenAI analysis', { attempt, arguments: toolCall?.function.arguments, usage: completion.usage });
+
+      const { analysis, errors } = parseArguments(toolCall);
+      if (!errors.length) return analysis;
+
+      logger.warn('OpenAI analysis failed validation', { attempt, errors });
+      if (attempt > 1) throw new AnalysisValidationError(errors);
+
+      messages.push(message);
+      messages.push(toolCall
+        ? { role: 'tool', tool_call_id: toolCall.id, content: describeProblems(errors) }
+        : { role: 'user', content: describeProblems(errors) });
+    }
+  },
+
+  probe: () => client.models.retrieve(model)
+});
+
+module.exports = { DEFAULT_MODEL, createOpenAIAnalyzer };
@@ -0,0 +1,74 @@
+// The task-analysis prompt shared by every model-backed analyzer. Each
+// provider asks the model to answer by calling a tool named
+// ANALYSIS_TOOL_NAME whose parameters are ANALYSIS_SCHEMA.
+
+const { MAX_SUBJECT_LENGTH } = require('../analysis-schema');
+const { describeLocalNow } = require('../timezone');
+
+const ANALYSIS_TOOL_NAME = 'record_analysis';
+const ANALYSIS_TOOL_DESCRIPTION = 'Record the structured analysis of a voice memo';
+
+// The user's open reminders (see lib/reminder-context.js) and how the memo
+// may refer to them; empty when there are none
+const describeReminderContext = (reminders = []) => (reminders.length ? `
+The user's open reminders:
+${reminders.map(reminder => `- ${reminder.ref}: "${reminder.subject}", due ${reminder.when}${reminder.recurrence ? `, repeats ${reminder.recurrence.toLowerCase()}` : ''}${reminder.tasks.length ? `\n  Tasks: ${reminder.tasks.join('; ')}` : ''}`).join('\n')}
+
+If part of the memo is about one of these rather than something new ("remind me again about the Alan thing", "move the dentist to Friday", "I already called the bank", "add milk to the groceries one"), record it in actions instead of as a new task:
+- complete: the memo says it's done
+- reschedule: the memo moves it or asks to be reminded again; newDate is the new date/time as said (e.g. "Friday at 3pm"), or null if none was given
+- update: the memo adds to or renames it; addTasks lists the new task descriptions and emailSubject a new subject line, or null
+Use the reminder's reference (e.g. "R2") as reminderRef and give a short reason the user will see. Only propose an action when the memo clearly refers to that reminder. If the memo only changes existing reminders, tasks may be empty; emailDraft and emailSubject then summarize the change.
+` : '');
+
+const buildAnalysisPrompt = ({ transcript, timeZone, now = new Date(), reminders = [] }) => `You are an intelligent task analyzer with smart prioritization. Analyze this voice memo transcript and extract actionable information.
+
+Transcript: "${transcript}"
+${describeReminderContext(reminders)}
+Analyze urgency based on:
+- Keywords: "urgent", "ASAP", "deadline", "important", "critical", "emergency" = urgent
+- Time sensitivity: tasks with specific deadlines or time constraints
+- Task type: health/medical = often urgent, shopping = usually normal/low
+- Context clues: "don't forget", "make sure", "remember" = normal priority
+
+Suggest optimal send time based on:
+- Urgent tasks: Send 1-2 hours before needed (or immediately if very urgent)
+- Work tasks: Send on weekday mornings (9am-10am) or 1 hour before work day starts
+- Personal tasks: Send in evening (6pm-8pm) or morning (8am-9am)
+- Health tasks: Send 1 day before or morning of
+- Shopping: Send morning of or 1 day before
+
+Record your analysis with the ${ANALYSIS_TOOL_NAME} tool, providing:
+1. tasks: Array of task objects, each with:
+   - description: Clear task description
+   - suggestedDate: Human-readable date/time (e.g., "Tomorrow morning", "Monday at 9am")
+   - priority: "urgent", "normal", or "low" (be smart about this!)
+   - category: "work", "personal", "health", "shopping", "calls", or "other"
+2. emailDraft: A personalized reminder email for the first/main task
+3. emailSubject: A concise subject line (6-8 words max, under ${MAX_SUBJECT_LENGTH} characters) that summarizes the main task. Make it action-oriented and clear. Examples: "Send Alan the BucketListers analysis", "Call doctor for appointment", "Buy groceries for dinner"
+4. suggestedSendTimeLocal: The user's LOCAL wall-clock date and time to send the reminder, formatted "YYYY-MM-DDTHH:mm" with NO timezone offset. The user is in the ${timeZone} timezone and their current local time is ${describeLocalNow(timeZone, now)}. Resolve phrases like "tomorrow at 9am" or "Monday morning" against that local date and time; for "tomorrow at 9am" return tomorrow's local date with "09:00". Do not convert to UTC.
+5. recurrence: If the memo describes something that repeats ("every Monday", "each weekday", "on the 1st of every month", "daily", "every other week"), an iCalendar RRULE string for it, otherwise null. The first reminder goes out at suggestedSendTimeLocal and repeats from there. Use only FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (e.g. MO,WE or 1MO / -1FR for monthly), BYMONTHDAY (1-31, or -1 for the last day), COUNT and UNTIL (YYYYMMDD). Examples:
+   - "pay rent on the 1st" → "FREQ=MONTHLY;BYMONTHDAY=1"
+   - "standup notes every weekday" → "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+   - "every other Friday until June" → "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20260630"
+${reminders.length ? '6. actions: Changes to the open reminders listed above, or an empty array\n' : ''}
+Example input:
+{
+  "tasks": [
+    {
+      "description": "Call doctor - urgent appointment",
+      "suggestedDate": "Tomorrow at 2pm",
+      "priority": "urgent",
+      "category": "health"
+    }
+  ],
+  "emailDraft": "Hi! Just a friendly reminder about your doctor appointment tomorrow at 2pm. Don't forget to bring your insurance card!",
+  "emailSubject": "Call doctor for appointment tomorrow",
+  "suggestedSendTimeLocal": "2025-12-06T07:00",
+  "recurrence": null
+}`;
+
+// Feedback for the one repair attempt after an invalid analysis
+const describeProblems = (errors) => `These fields were invalid:\n${errors.map(({ field, message }) => `- ${field} ${message}`).join('\n')}\nCall ${ANALYSIS_TOOL_NAME} again with all fields corrected.`;
+
+module.exports = { ANALYSIS_TOOL_NAME, ANALYSIS_TOOL_DESCRIPTION, buildAnalysisPrompt, describeProblems };
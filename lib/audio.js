@@ -0,0 +1,304 @@
+// Audio uploads for /api/transcribe: working out the real format from the
+// file's first bytes, how long a recording is, and splitting recordings that
+// are over Whisper's 25 MB limit into pieces it accepts.
+//
+// Duration and splitting use ffprobe/ffmpeg when they're installed (FFMPEG_PATH
+// and FFPROBE_PATH override where to find them). Without them, WAV and
+// MP4/M4A durations are read from the file headers and WAV is split in
+// place; other large recordings are refused with a clear error.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { logger } = require('./logger');
+
+// Whisper's own limit is 25 MB; stay a little under it
+const WHISPER_MAX_BYTES = 24 * 1024 * 1024;
+
+const TOOL_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Formats Whisper accepts, keyed by the extension we give the file
+const AUDIO_FORMATS = {
+  webm: ['audio/webm', 'video/webm'],
+  ogg: ['audio/ogg', 'audio/opus', 'application/ogg'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  mp3: ['audio/mpeg', 'audio/mp3', 'audio/mpga'],
+  m4a: ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac'],
+  mp4: ['video/mp4'],
+  flac: ['audio/flac', 'audio/x-flac']
+};
+
+class AudioUploadError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AudioUploadError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// --- Format ---
+
+// The format from the file's magic bytes, or null when it isn't audio we know
+const detectAudioFormat = (header) => {
+  if (header.length < 12) return null;
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (header.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(4, 8) === 'ftyp') return ['M4A ', 'M4B '].includes(ascii(8, 12)) ? 'm4a' : 'mp4';
+  if (ascii(0, 3) === 'ID3' || (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) return 'mp3';
+  return null;
+};
+
+const readHeader = async (filePath, length = 64) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const detectAudioFileFormat = async (filePath) => detectAudioFormat(await readHeader(filePath));
+
+// Whether the Content-Type the client sent matches the detected format
+// (browsers label Safari's MP4 recordings all sorts of things, so a mismatch
+// is only worth a warning)
+const mimeTypeMatches = (mimeType, format) => (AUDIO_FORMATS[format] || [])
+  .includes(String(mimeType || '').split(';')[0].trim().toLowerCase());
+
+// --- External tools ---
+
+const run = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout: TOOL_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+    if (error) reject(error);
+    else resolve(stdout);
+  });
+});
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Checked once per process
+let ffmpegCheck = null;
+const hasFfmpeg = () => {
+  if (!ffmpegCheck) {
+    ffmpegCheck = run(ffmpegPath(), ['-version']).then(() => true, () => false);
+  }
+  return ffmpegCheck;
+};
+
+let ffprobeCheck = null;
+const hasFfprobe = () => {
+  if (!ffprobeCheck) {
+    ffprobeCheck = run(ffprobePath(), ['-version']).then(() => true, () => false);
+  }
+  return ffprobeCheck;
+};
+
+// --- Duration ---
+
+// WAV: data chunk size over the byte rate from the fmt chunk
+const wavInfo = async (filePath) => {
+  const header = await readHeader(filePath, 4096);
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= header.length) {
+    const id = header.toString('latin1', offset, offset + 4);
+    const size = header.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: header.readUInt16LE(offset + 8),
+        channels: header.readUInt16LE(offset + 10),
+        sampleRate: header.readUInt32LE(offset + 12),
+        byteRate: header.readUInt32LE(offset + 16),
+        blockAlign: header.readUInt16LE(offset + 20),
+        bitsPerSample: header.readUInt16LE(offset + 22),
+        chunk: header.subarray(offset, offset + 8 + size)
+      };
+    } else if (id === 'data' && format) {
+      const { size: fileSize } = await fs.promises.stat(filePath);
+      const dataSize = Math.min(size, fileSize - offset - 8);
+      return { ...format, dataOffset: offset + 8, dataSize, duration: dataSize / format.byteRate };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// MP4/M4A: duration and timescale from the mvhd box inside moov, which may
+// sit at either end of the file
+const mp4Duration = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const box = Buffer.alloc(16);
+
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+      await handle.read(box, 0, 16, offset);
+      let size = box.readUInt32BE(0);
+      const type = box.toString('latin1', 4, 8);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(box.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize) return null;
+
+      if (type === 'moov') {
+        const moov = Buffer.alloc(Math.min(size - headerSize, 1024 * 1024));
+        await handle.read(moov, 0, moov.length, offset + headerSize);
+        const mvhd = moov.indexOf('mvhd', 0, 'latin1');
+        if (mvhd < 4) return null;
+        const body = mvhd + 4;
+        const version = moov[body];
+        const timescale = moov.readUInt32BE(body + (version === 1 ? 20 : 12));
+        const duration = version === 1 ? Number(moov.readBigUInt64BE(body + 24)) : moov.readUInt32BE(body + 16);
+        return timescale ? duration / timescale : null;
+      }
+      offset += size;
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+// Length of a recording in seconds, or null when it can't be told
+const probeDuration = async (filePath, format) => {
+  if (await hasFfprobe()) {
+    try {
+      const output = await run(ffprobePath(), ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath]);
+      const seconds = parseFloat(output);
+      if (Number.isFinite(seconds)) return seconds;
+    } catch (error) {
+      logger.warn('ffprobe failed, falling back to headers', { error: error.message });
+    }
+  }
+
+  try {
+    if (format === 'wav') return (await wavInfo(filePath))?.duration ?? null;
+    if (format === 'm4a' || format === 'mp4') return await mp4Duration(filePath);
+  } catch (error) {
+    logger.warn('Could not read audio duration', { error: error.message });
+  }
+  return null;
+};
+
+// --- Splitting ---
+
+// Split PCM WAV data on sample boundaries, each piece with its own header
+const splitWav = async (filePath, maxBytes) => {
+  const info = await wavInfo(filePath);
+  if (!info) throw new AudioUploadError(415, 'unsupported_format', 'This WAV file could not be read');
+
+  const headerSize = 12 + info.chunk.length + 8;
+  const perChunk = Math.floor((maxBytes - headerSize) / info.blockAlign) * info.blockAlign;
+  const handle = await fs.promises.open(filePath, 'r');
+  const chunks = [];
+  try {
+    for (let start = 0, index = 0; start < info.dataSize; start += perChunk, index++) {
+      const length = Math.min(perChunk, info.dataSize - start);
+      const data = Buffer.alloc(length);
+      await handle.read(data, 0, length, info.dataOffset + start);
+
+      const riff = Buffer.alloc(12);
+      riff.write('RIFF', 0, 'latin1');
+      riff.writeUInt32LE(4 + info.chunk.length + 8 + length, 4);
+      riff.write('WAVE', 8, 'latin1');
+      const dataHeader = Buffer.alloc(8);
+      dataHeader.write('data', 0, 'latin1');
+      dataHeader.writeUInt32LE(length, 4);
+
+      const chunkPath = `${filePath}.part${String(index).padStart(3, '0')}.wav`;
+      chunks.push(chunkPath);
+      await fs.promises.writeFile(chunkPath, Buffer.concat([riff, info.chunk, dataHeader, data]));
+    }
+  } finally {
+    await handle.close();
+  }
+  return chunks;
+};
+
+// Cut into equal-length pieces without re-encoding, sized from the average
+// bitrate so each comes in under the limit
+const splitWithFfmpeg = async (filePath, format, { duration, size, maxBytes }) => {
+  const segmentSeconds = Math.max(30, Math.floor(duration * (maxBytes / size) * 0.9));
+  const pattern = `${filePath}.part%03d.${format}`;
+  await run(ffmpegPath(), [
+    '-v', 'error', '-i', filePath, '-map', '0:a', '-c', 'copy',
+    '-f', 'segment', '-segment_time', String(segmentSeconds), '-reset_timestamps', '1', pattern
+  ]);
+
+  const prefix = `${path.basename(filePath)}.part`;
+  const dir = path.dirname(filePath);
+  return (await fs.promises.readdir(dir))
+    .filter(name => name.startsWith(prefix))
+    .sort()
+    .map(name => path.join(dir, name));
+};
+
+// Pieces of the recording that each fit within Whisper's limit (the file
+// itself when it already does, or when `maxBytes` is null for transcribers
+// with no limit). Throws AudioUploadError when it's too big
+// and can't be split here.
+const splitForWhisper = async (filePath, format, { duration = null, maxBytes = WHISPER_MAX_BYTES } = {}) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (!maxBytes || size <= maxBytes) return [filePath];
+
+  if (format === 'wav') return splitWav(filePath, maxBytes);
+
+  if (!(await hasFfmpeg()) || !duration) {
+    throw new AudioUploadError(413, 'file_too_large',
+      `Recordings over ${Math.floor(maxBytes / (1024 * 1024))} MB can't be split on this server. Please record a shorter memo.`);
+  }
+  return splitWithFfmpeg(filePath, format, { duration, size, maxBytes });
+};
+
+// A 16 kHz mono 16-bit PCM WAV of the recording, as local speech models
+// expect. Returns the file itself when it already is one, otherwise the path
+// of a converted copy next to it (the caller removes it).
+const toSpeechWav = async (filePath, format) => {
+  if (format === 'wav') {
+    const info = await wavInfo(filePath);
+    if (info && info.audioFormat === 1 && info.sampleRate === 16000 && info.channels === 1 && info.bitsPerSample === 16) {
+      return filePath;
+    }
+  }
+
+  if (!(await hasFfmpeg())) {
+    throw new AudioUploadError(415, 'unsupported_format',
+      `This server can't convert ${format} recordings for local transcription (ffmpeg is not installed)`);
+  }
+
+  const wavPath = `${filePath}.16k.wav`;
+  await run(ffmpegPath(), ['-v', 'error', '-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+  return wavPath;
+};
+
+// Remove temp files, ignoring ones that are already gone
+const removeFiles = (paths) => Promise.all([...new Set(paths)].filter(Boolean)
+  .map(filePath => fs.promises.rm(filePath, { force: true }).catch(error => {
+    logger.error('Failed to remove temp file', { filePath, error: error.message });
+  })));
+
+module.exports = {
+  WHISPER_MAX_BYTES,
+  AUDIO_FORMATS,
+  AudioUploadError,
+  detectAudioFormat,
+  detectAudioFileFormat,
+  mimeTypeMatches,
+  probeDuration,
+  splitForWhisper,
+  toSpeechWav,
+  removeFiles
+};
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const express = require('express');
+const { isValidTimeZone } = require('./timezone');
+const { renderSignInEmail } = require('./email-templates');
+const { normalizeFollowUpPolicy } = require('./followup-policy');
+const { REQUEST_SCHEMAS, validateRequest } = require('./request-schemas');
+const { logger } = require('./logger');
+
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const PHONE_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const PHONE_CODE_MAX_ATTEMPTS = 5;
+
+// User columns exposed as req.user and by /me
+const PROFILE_COLUMNS = ['id', 'email', 'timezone', 'digest_frequency', 'digest_hour', 'digest_weekday', 'followup_policy', 'phone_number'];
+
+const toProfile = (user) => Object.fromEntries(PROFILE_COLUMNS.map(column => [column, user[column] ?? null]));
+
+// Tokens are only ever stored hashed, so a leaked table can't be used to sign in
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Constant-time comparison for shared secrets (e.g. CRON_SECRET)
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Magic-link sign-in backed by storage (users, login tokens and sessions, see
+// lib/storage) and the Resend client. Returns the /api/auth router and a
+// requireAuth middleware that sets req.user for session-authenticated routes.
+//
+// Without Resend, local storage logs the sign-in link to the console instead
+// of emailing it, so the app can be used on one machine. The same goes for
+// phone verification codes without SMS (sendSms throws when it isn't set up).
+// phoneCodeLimits are the rate limits and quota run before a code is texted.
+const createAuth = ({ storage, resend, sendSms, smsAvailable = () => true, getBaseUrl, phoneCodeLimits = [] }) => {
+  const router = express.Router();
+
+  router.post('/magic-link', validateRequest({ body: REQUEST_SCHEMAS.magicLink }), async (req, res) => {
+    try {
+      const email = normalizeEmail(req.body.email);
+
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ success: false, error: 'A valid email is required' });
+      }
+      if (!resend && !storage.local) {
+        return res.status(500).json({ success: false, error: 'Services not configured' });
+      }
+
+      const token = generateToken();
+      await storage.loginTokens.create({
+        token_hash: hashToken(token),
+        email,
+        expires_at: new Date(Date.now() + LOGIN_TOKEN_TTL_MS).toISOString()
+      });
+
+      const loginUrl = `${getBaseUrl()}/?login_token=${token}`;
+      if (!resend) {
+        logger.warn('Resend not configured, sign-in link is here instead of emailed', { email, loginUrl });
+        return res.json({ success: true, message: 'Email is not set up here: the sign-in link is in the server log' });
+      }
+
+      const message = renderSignInEmail({ loginUrl });
+      const { error: sendError } = await resend.emails.send({
+        from: 'TaskWhisper <noreply@jaypwadhwani.com>',
+        to: email,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      if (sendError) throw new Error(sendError.message);
+
+      logger.info('Sign-in link sent');
+      res.json({ success: true, message: 'Check your email for a sign-in link' });
+
+    } catch (error) {
+      logger.error('Error sending sign-in link', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/verify', validateRequest({ body: REQUEST_SCHEMAS.verify }), async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      // Consumed with a conditional update so it can only be used once
+      const loginToken = await storage.loginTokens.consume(hashToken(token), new Date());
+      if (!loginToken) {
+        return res.status(401).json({ success: false, error: 'Sign-in link is invalid or has expired' });
+      }
+
+      const user = await storage.users.upsertByEmail(loginToken.email);
+
+      const sessionToken = generateToken();
+      const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+      await storage.sessions.create({
+        token_hash: hashToken(sessionToken),
+        user_id: user.id,
+        expires_at: expiresAt
+      });
+
+      logger.info('User signed in', { userId: user.id });
+      res.json({
+        success: true,
+        token: sessionToken,
+        expiresAt,
+        user: toProfile(user)
+      });
+
+    } catch (error) {
+      logger.error('Error verifying sign-in link', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  const requireAuth = async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+
+      if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      const session = await storage.sessions.findActive(hashToken(token), new Date());
+      if (!session || !session.user) {
+        return res.status(401).json({ success: false, error: 'Session is invalid or has expired' });
+      }
+
+      req.user = toProfile(session.user);
+      req.sessionTokenHash = session.token_hash;
+      next();
+
+    } catch (error) {
+      logger.error('Error checking session', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
+  });
+
+  // Update profile settings: the user's IANA timezone and digest preferences
+  router.patch('/me', requireAuth, validateRequest({ body: REQUEST_SCHEMAS.profileUpdate }), async (req, res) => {
+    try {
+      const { timezone, digestFrequency, digestHour, digestWeekday, followUpPolicy } = req.body || {};
+      const updates = {};
+
+      if (timezone !== undefined) {
+        if (!isValidTimeZone(timezone)) {
+          return res.status(400).json({ success: false, error: 'timezone must be an IANA timezone such as America/New_York' });
+        }
+        updates.timezone = timezone;
+      }
+      if (digestFrequency !== undefined) updates.digest_frequency = digestFrequency;
+      if (digestHour !== undefined) updates.digest_hour = digestHour;
+      if (digestWeekday !== undefined) updates.digest_weekday = digestWeekday;
+      if (followUpPolicy !== undefined) {
+        try {
+          updates.followup_policy = normalizeFollowUpPolicy(followUpPolicy);
+        } catch (policyError) {
+          return res.status(400).json({ success: false, error: `Invalid follow-up policy: ${policyError.message}` });
+        }
+      }
+
+      if (!Object.keys(updates).length) {
+        return res.status(400).json({ success: false, error: 'No settings to update' });
+      }
+
+      const user = await storage.users.update({ id: req.user.id }, updates);
+
+      res.json({ success: true, user: toProfile(user) });
+
+    } catch (error) {
+      logger.error('Error updating profile', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Text a code to a phone number. SMS reminders only go to the number once
+  // the code has been entered, so an account can't text strangers.
+  router.post('/phone', requireAuth, validateRequest({ body: REQUEST_SCHEMAS.phoneCode }), ...phoneCodeLimits, async (req, res) => {
+    try {
+      const { phoneNumber } = req.body;
+
+      if (!smsAvailable() && !storage.local) {
+        return res.status(503).json({ success: false, code: 'sms_unavailable', error: 'SMS is not set up on this server' });
+      }
+
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      await storage.users.update({ id: req.user.id }, {
+        pending_phone_number: phoneNumber,
+        phone_code_hash: hashToken(`${phoneNumber}:${code}`),
+        phone_code_expires_at: new Date(Date.now() + PHONE_CODE_TTL_MS).toISOString(),
+        phone_code_attempts: 0
+      });
+
+      if (!smsAvailable()) {
+        logger.warn('SMS not configured, phone verification code is here instead of texted', { userId: req.user.id, code });
+        return res.json({ success: true, message: 'SMS is not set up here: the code is in the server log' });
+      }
+
+      await sendSms(phoneNumber, `Your TaskWhisper code is ${code}. It expires in 10 minutes.`);
+
+      logger.info('Phone verification code sent', { userId: req.user.id });
+      res.json({ success: true, message: 'We texted you a 6-digit code' });
+
+    } catch (error) {
+      logger.error('Error sending phone verification code', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/phone/verify', requireAuth, validateRequest({ body: REQUEST_SCHEMAS.phoneVerify }), async (req, res) => {
+    try {
+      const user = await storage.users.find({ id: req.user.id });
+      const pending = user?.pending_phone_number;
+
+      if (!pending || !user.phone_code_hash || new Date(user.phone_code_expires_at) <= new Date()) {
+        return res.status(400).json({ success: false, code: 'code_expired', error: 'The code has expired, please ask for a new one' });
+      }
+      if (user.phone_code_attempts >= PHONE_CODE_MAX_ATTEMPTS) {
+        return res.status(429).json({ success: false, code: 'too_many_attempts', error: 'Too many wrong codes, please ask for a new one' });
+      }
+      if (!safeEqual(hashToken(`${pending}:${req.body.code}`), user.phone_code_hash)) {
+        await storage.users.update({ id: user.id }, { phone_code_attempts: user.phone_code_attempts + 1 });
+        return res.status(400).json({ success: false, code: 'wrong_code', error: 'That code is not right' });
+      }
+
+      const updated = await storage.users.update({ id: user.id }, {
+        phone_number: pending,
+        phone_verified_at: new Date().toISOString(),
+        pending_phone_number: null,
+        phone_code_hash: null,
+        phone_code_expires_at: null,
+        phone_code_attempts: 0
+      });
+
+      logger.info('Phone number verified', { userId: user.id });
+      res.json({ success: true, user: toProfile(updated) });
+
+    } catch (error) {
+      logger.error('Error verifying phone number', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/phone', requireAuth, async (req, res) => {
+    try {
+      const user = await storage.users.update({ id: req.user.id }, { phone_number: null, phone_verified_at: null });
+
+      res.json({ success: true, user: toProfile(user) });
+
+    } catch (error) {
+      logger.error('Error removing phone number', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/logout', requireAuth, async (req, res) => {
+    try {
+      await storage.sessions.remove(req.sessionTokenHash);
+
+      res.json({ success: true });
+
+    } catch (error) {
+      logger.error('Error signing out', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return { router, requireAuth };
+};
+
+module.exports = { createAuth, generateToken, hashToken, safeEqual, normalizeEmail, isValidEmail };
@@ -0,0 +1,168 @@
+// iCalendar (RFC 5545) output: .ics attachments on reminder emails and the
+// per-user feed that calendar apps subscribe to.
+//
+// Events are 30 minutes long. One-off events are written in UTC; recurring
+// ones use the reminder's TZID with local wall-clock time so the series stays
+// at the same local time across DST changes (Google and Apple Calendar know
+// IANA zone names, so no VTIMEZONE block is included).
+
+const { getZonedParts, DEFAULT_TIMEZONE } = require('./timezone');
+const { parseRRule, formatRRule } = require('./recurrence');
+
+const PRODUCT_ID = '-//TaskWhisper//Reminders//EN';
+const UID_DOMAIN = 'taskwhisper';
+const EVENT_DURATION = 'PT30M';
+
+// Completed reminders stay in the feed (ticked) for this long
+const COMPLETED_VISIBLE_MS = 14 * 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 20261019T143000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261019T103000, wall-clock time in `timeZone`
+const formatLocal = (date, timeZone) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// One VEVENT. `start` is a Date; `rrule` (optional) is a stored rule string.
+const buildEvent = ({ uid, start, timeZone = DEFAULT_TIMEZONE, summary, description, rrule = null, url = null, completed = false, now = new Date() }) => {
+  const zoned = rrule && timeZone !== 'UTC';
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    zoned ? `DTSTART;TZID=${timeZone}:${formatLocal(start, timeZone)}` : `DTSTART:${formatUtc(start)}`,
+    `DURATION:${EVENT_DURATION}`,
+    rrule ? `RRULE:${rrule}` : null,
+    `SUMMARY:${escapeText(`${completed ? '✅ ' : ''}${summary}`)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    url ? `URL:${url}` : null,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+const buildCalendar = ({ name = 'TaskWhisper', timeZone = null, events = [], refreshHours = null }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  timeZone ? `X-WR-TIMEZONE:${timeZone}` : null,
+  refreshHours ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H` : null,
+  refreshHours ? `X-PUBLISHED-TTL:PT${refreshHours}H` : null,
+  ...events.flat(),
+  'END:VCALENDAR'
+].filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+
+const taskLines = (tasks) => tasks.map(task => `${task.completed ? '☑' : '☐'} ${task.description}`).join('\n');
+
+// A task counts as timed when its date was parsed to a time of day. Tasks
+// saved before hasTime was recorded are treated as timed.
+const isTimedTask = (task) => !!task.suggestedTime && task.hasTime !== false && !task.completed;
+
+// The attachment for a reminder email: one event per open timed task, or
+// null when there are none
+const buildReminderAttachment = (reminder, { timeZone = DEFAULT_TIMEZONE, url = null, now = new Date() } = {}) => {
+  const events = (reminder.tasks || [])
+    .map((task, index) => ({ task, index }))
+    .filter(({ task }) => isTimedTask(task))
+    .map(({ task, index }) => buildEvent({
+      uid: `${reminder.id}-${index}`,
+      start: new Date(task.suggestedTime),
+      timeZone,
+      summary: task.description,
+      description: reminder.email_subject ? `From your TaskWhisper reminder "${reminder.email_subject}"` : null,
+      url,
+      now
+    }));
+
+  return events.length ? buildCalendar({ timeZone, events }) : null;
+};
+
+// The remaining rule for a series from occurrence `index` on: COUNT is
+// reduced by the occurrences already behind it
+const remainingRule = (rrule, index) => {
+  const rule = parseRRule(rrule);
+  if (rule.count) {
+    if (rule.count - index < 1) return null;
+    rule.count -= index;
+  }
+  return formatRRule(rule);
+};
+
+// The subscribed feed. Each recurring series is one repeating event starting
+// at its latest open occurrence; every other reminder (one-offs, and earlier
+// occurrences of a series) is a single event. Completed reminders are shown
+// ticked for a while and then drop out.
+const buildFeed = (reminders, { timeZone = DEFAULT_TIMEZONE, urlFor = () => null, now = new Date() } = {}) => {
+  const visible = reminders.filter(reminder => !reminder.completed
+    || now - new Date(reminder.scheduled_for) < COMPLETED_VISIBLE_MS);
+
+  // The open row with the highest occurrence_index carries each series' rule
+  const heads = new Map();
+  for (const reminder of visible) {
+    if (!reminder.recurrence_rule || reminder.completed) continue;
+    const seriesId = reminder.series_id || reminder.id;
+    const head = heads.get(seriesId);
+    if (!head || (reminder.occurrence_index || 0) > (head.occurrence_index || 0)) heads.set(seriesId, reminder);
+  }
+  const headIds = new Set([...heads.values()].map(reminder => reminder.id));
+
+  const events = visible.map(reminder => {
+    const isHead = headIds.has(reminder.id);
+    const reminderZone = reminder.timezone || timeZone;
+    return buildEvent({
+      uid: isHead ? `series-${reminder.series_id || reminder.id}` : reminder.id,
+      start: new Date(reminder.scheduled_for),
+      timeZone: reminderZone,
+      summary: reminder.email_subject || reminder.tasks?.[0]?.description || 'TaskWhisper reminder',
+      // A completed reminder ticks off every task
+      description: taskLines((reminder.tasks || []).map(task => (reminder.completed ? { ...task, completed: true } : task))),
+      rrule: isHead ? remainingRule(reminder.recurrence_rule, reminder.occurrence_index || 0) : null,
+      url: urlFor(reminder),
+      completed: !!reminder.completed,
+      now
+    });
+  });
+
+  return buildCalendar({ timeZone, events, refreshHours: 1 });
+};
+
+module.exports = {
+  COMPLETED_VISIBLE_MS,
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  isTimedTask,
+  buildReminderAttachment,
+  buildFeed
+};
@@ -0,0 +1,260 @@
+// Deterministic natural-language date parser.
+//
+// Turns phrases like the ones Claude puts in a task's suggestedDate (or a raw
+// transcript) into a concrete time in the user's timezone, so a schedule can be
+// checked, or produced, without calling a model. Understands:
+//
+//   now / asap / right away           in 20 minutes, in two hours, in a week
+//   today, tonight, this evening      in half an hour, in a couple of days
+//   tomorrow (morning|afternoon|...)  day after tomorrow
+//   monday, this friday, next friday  next week, this weekend, next weekend
+//   end of day, end of week           end of month, next month
+//   january 5, jan 5th, 5th of march  12/25, 2025-12-25
+//   at 3, at 3pm, 3:30 pm, 15:00      noon, midnight, morning, lunch
+//
+// A bare "at 3" means 3pm; bare hours from 1 to 7 are read as afternoon/evening.
+// Days without a time default to 9am. A time with no day means the next time
+// the clock shows it.
+
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HOUR = 9;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?';
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+  forty: 40, 'forty-five': 45, fortyfive: 45, sixty: 60, ninety: 90,
+  couple: 2, 'a couple': 2, 'a couple of': 2, 'couple of': 2, few: 3, 'a few': 3, several: 3
+};
+const NUMBER_PATTERN = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+
+const PARTS_OF_DAY = {
+  morning: { hour: 9, minute: 0 },
+  lunch: { hour: 12, minute: 0 },
+  lunchtime: { hour: 12, minute: 0 },
+  noon: { hour: 12, minute: 0 },
+  midday: { hour: 12, minute: 0 },
+  afternoon: { hour: 14, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  tonight: { hour: 20, minute: 0 },
+  night: { hour: 20, minute: 0 },
+  midnight: { hour: 23, minute: 59 }
+};
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+// --- Local calendar arithmetic (days numbered like epoch days) ---
+
+const toDayIndex = ({ year, month, day }) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+const fromDayIndex = (dayIndex) => {
+  const date = new Date(dayIndex * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const addMonths = ({ year, month, day }, count) => {
+  const total = (year * 12 + (month - 1)) + count;
+  const newYear = Math.floor(total / 12);
+  const newMonth = (total % 12) + 1;
+  return { year: newYear, month: newMonth, day: Math.min(day, daysInMonth(newYear, newMonth)) };
+};
+
+const toNumber = (value) => (/^\d/.test(value) ? parseFloat(value) : NUMBER_WORDS[value.replace(/\s+/g, ' ')]);
+
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3)));
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+
+// --- Matchers. Each returns { text, ... } for the part of the input it used. ---
+
+const matchRelative = (text) => {
+  if (/\b(right now|now|asap|immediately|right away)\b/.test(text)) {
+    return { text: RegExp.lastMatch, ms: 0 };
+  }
+
+  let match = /\bin\s+(half an hour|an hour and a half|a half hour)\b/.exec(text);
+  if (match) {
+    return { text: match[0], ms: match[1] === 'an hour and a half' ? 90 * UNIT_MS.minute : 30 * UNIT_MS.minute };
+  }
+
+  match = new RegExp(`\\bin\\s+(?:about\\s+)?${NUMBER_PATTERN}\\s*(minutes?|mins?|hours?|hrs?|days?|weeks?|months?)\\b`).exec(text);
+  if (!match) return null;
+
+  const amount = toNumber(match[1]);
+  if (!amount) return null;
+  const unit = match[2];
+  if (/^min/.test(unit)) return { text: match[0], ms: amount * UNIT_MS.minute };
+  if (/^h/.test(unit)) return { text: match[0], ms: amount * UNIT_MS.hour };
+  if (/^d/.test(unit)) return { text: match[0], days: Math.round(amount) };
+  if (/^w/.test(unit)) return { text: match[0], days: Math.round(amount * 7) };
+  return { text: match[0], months: Math.round(amount) };
+};
+
+const matchDay = (text, today) => {
+  let match;
+
+  if ((match = /\b(?:the\s+)?day after tomorrow\b/.exec(text))) {
+    return { text: match[0], dayIndex: today.dayIndex + 2 };
+  }
+  if ((match = /\b(tomorrow|tmrw|tomorow)\b/.exec(text))) {
+    return { text: match[0], dayIndex: today.dayIndex + 1 };
+  }
+  if ((match = /\b(today|tonight|this (?:morning|afternoon|evening)|end of (?:the )?day|eod)\b/.exec(text))) {
+    const endOfDay = /end of|eod/.test(match[0]);
+    return { text: match[0], dayIndex: today.dayIndex, ...(endOfDay && { time: { hour: 17, minute: 0 } }) };
+  }
+  if ((match = /\b(?:by\s+)?(?:the\s+)?end of (?:the |this )?week\b/.exec(text))) {
+    const daysUntilFriday = (5 - today.weekday + 7) % 7;
+    return { text: match[0], dayIndex: today.dayIndex + daysUntilFriday, time: { hour: 17, minute: 0 } };
+  }
+  if ((match = /\b(?:by\s+)?(?:the\s+)?end of (?:the |this )?month\b/.exec(text))) {
+    const lastDay = daysInMonth(today.year, today.month);
+    return { text: match[0], dayIndex: toDayIndex({ ...today, day: lastDay }), time: { hour: 17, minute: 0 } };
+  }
+  if ((match = /\b(?:by\s+)?(?:the\s+)?end of (?:the |this )?year\b/.exec(text))) {
+    return { text: match[0], dayIndex: toDayIndex({ year: today.year, month: 12, day: 31 }), time: { hour: 17, minute: 0 } };
+  }
+  if ((match = /\b(this|next) weekend\b/.exec(text))) {
+    const daysUntilSaturday = (6 - today.weekday + 7) % 7;
+    return { text: match[0], dayIndex: today.dayIndex + daysUntilSaturday + (match[1] === 'next' ? 7 : 0), time: { hour: 10, minute: 0 } };
+  }
+  if ((match = /\bnext week\b/.exec(text))) {
+    const daysUntilMonday = ((1 - today.weekday + 7) % 7) || 7;
+    return { text: match[0], dayIndex: today.dayIndex + daysUntilMonday };
+  }
+  if ((match = /\bnext month\b/.exec(text))) {
+    const first = addMonths({ ...today, day: 1 }, 1);
+    return { text: match[0], dayIndex: toDayIndex(first) };
+  }
+  if ((match = new RegExp(`\\b(this|next|coming|on)?\\s*${WEEKDAY_PATTERN}\\b`).exec(text))) {
+    const target = weekdayIndex(match[2]);
+    // "this friday" can mean today; a bare or "next" weekday is the next one after today
+    let delta = (target - today.weekday + 7) % 7;
+    if (delta === 0 && match[1] !== 'this') delta = 7;
+    return { text: match[0].trim(), dayIndex: today.dayIndex + delta };
+  }
+
+  const explicit = matchExplicitDate(text, today);
+  if (explicit) return explicit;
+
+  return null;
+};
+
+const matchExplicitDate = (text, today) => {
+  let match;
+  let year = null;
+  let month = null;
+  let day = null;
+
+  if ((match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text))) {
+    [year, month, day] = [+match[1], +match[2], +match[3]];
+  } else if ((match = new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`).exec(text))) {
+    [month, day, year] = [monthIndex(match[1]) + 1, +match[2], match[3] ? +match[3] : null];
+  } else if ((match = new RegExp(`\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`).exec(text))) {
+    [day, month, year] = [+match[1], monthIndex(match[2]) + 1, match[3] ? +match[3] : null];
+  } else if ((match = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/.exec(text))) {
+    // US-style month/day, matching the app's audience
+    [month, day, year] = [+match[1], +match[2], match[3] ? +match[3] : null];
+    if (year !== null && year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year || today.year, month)) return null;
+
+  // A date without a year that has already passed means next year
+  if (year === null) {
+    year = today.year;
+    if (toDayIndex({ year, month, day }) < today.dayIndex) year++;
+  }
+
+  return { text: match[0].trim(), dayIndex: toDayIndex({ year, month, day }) };
+};
+
+const matchTime = (text) => {
+  let match;
+
+  if ((match = /\b(?:at\s+|@\s*)?(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[.,!?])/.exec(text))) {
+    let hour = +match[1] % 12;
+    if (match[3].startsWith('p')) hour += 12;
+    return { text: match[0].trim(), hour, minute: match[2] ? +match[2] : 0 };
+  }
+  if ((match = /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/.exec(text))) {
+    let hour = +match[1];
+    // "at 3:30" with no am/pm is afternoon, like a bare "at 3"
+    if (hour >= 1 && hour <= 7) hour += 12;
+    return { text: match[0].trim(), hour, minute: +match[2] };
+  }
+  if ((match = /\b(noon|midday|midnight)\b/.exec(text))) {
+    return { text: match[0], ...PARTS_OF_DAY[match[1]] };
+  }
+  if ((match = /\bat\s+(\d{1,2})(?:\s+o'?clock)?\b(?!\s*(?:minutes?|mins?|hours?|days?|%))/.exec(text))) {
+    let hour = +match[1];
+    if (hour > 23) return null;
+    if (hour >= 1 && hour <= 7) hour += 12;
+    return { text: match[0], hour, minute: 0 };
+  }
+  if ((match = /\b(?:in the\s+|this\s+|at\s+)?(morning|afternoon|evening|tonight|night|lunchtime|lunch)\b/.exec(text))) {
+    return { text: match[0], ...PARTS_OF_DAY[match[1]] };
+  }
+
+  return null;
+};
+
+// Parse a date phrase or free text. Returns { date, text, hasTime } where text
+// is the part of the input that was understood, or null if nothing was.
+const parseDatePhrase = (input, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) => {
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  const text = input.toLowerCase().replace(/[‘’]/g, "'");
+  const nowDate = new Date(now);
+  const local = getZonedParts(nowDate, timeZone);
+  const today = { ...local, dayIndex: toDayIndex(local) };
+  const toUtc = (dayIndex, { hour, minute }) => zonedTimeToUtc({ ...fromDayIndex(dayIndex), hour, minute }, timeZone);
+
+  const relative = matchRelative(text);
+  if (relative) {
+    if (relative.ms !== undefined) {
+      return { date: new Date(nowDate.getTime() + relative.ms), text: relative.text, hasTime: true };
+    }
+
+    // Calendar offsets keep the current local time unless one is given
+    const time = matchTime(text.replace(relative.text, ' '));
+    const dayIndex = relative.months
+      ? toDayIndex(addMonths(today, relative.months))
+      : today.dayIndex + relative.days;
+    return {
+      date: toUtc(dayIndex, time || { hour: local.hour, minute: local.minute }),
+      text: [relative.text, time?.text].filter(Boolean).join(' '),
+      hasTime: true
+    };
+  }
+
+  const day = matchDay(text, today);
+  const time = matchTime(day ? text.replace(day.text, ' ') : text)
+    // "tonight" and "this evening" name a time as well as a day
+    || (day && /tonight|evening|morning|afternoon/.test(day.text) ? matchTime(day.text) : null);
+
+  if (!day && !time) return null;
+
+  const clock = time || day.time || { hour: DEFAULT_HOUR, minute: 0 };
+  let dayIndex = day ? day.dayIndex : today.dayIndex;
+
+  // A bare time that has already passed today means tomorrow
+  if (!day && toUtc(dayIndex, clock) <= nowDate) dayIndex++;
+
+  return {
+    date: toUtc(dayIndex, clock),
+    text: [...new Set([day?.text, time?.text].filter(Boolean))].join(' '),
+    hasTime: !!(time || day?.time)
+  };
+};
+
+module.exports = { parseDatePhrase };
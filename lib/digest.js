@@ -0,0 +1,114 @@
+// Digest emails: when a user's digest is due, and how their open reminders
+// are grouped in it. Sending lives with the rest of the scheduler in server.js.
+
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('./timezone');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// A digest missed by more than this (e.g. the server was down all morning)
+// is skipped rather than sent late
+const DIGEST_GRACE_MS = 12 * 60 * 60 * 1000;
+
+// Upcoming reminders shown in a daily and a weekly digest
+const UPCOMING_DAYS = { daily: 7, weekly: 14 };
+
+const PRIORITY_ORDER = ['urgent', 'normal', 'low'];
+const PRIORITY_TITLES = { urgent: '⚡ Urgent', normal: 'Normal', low: 'Low priority' };
+
+// Local midnight of the day `offset` days from the one containing `date`
+const startOfLocalDay = (date, timeZone, offset = 0) => {
+  const parts = getZonedParts(date, timeZone);
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+  return zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() }, timeZone);
+};
+
+// The most recent time this user's digest was due, at or before `now`
+const latestDigestSlot = (user, now, timeZone = DEFAULT_TIMEZONE) => {
+  const hour = user.digest_hour ?? 8;
+  const local = getZonedParts(now, timeZone);
+
+  let offset = 0;
+  if (user.digest_frequency === 'weekly') {
+    offset = -((local.weekday - (user.digest_weekday ?? 1) + 7) % 7);
+  }
+
+  const slotAt = (dayOffset) => {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + dayOffset));
+    return zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour }, timeZone);
+  };
+
+  const slot = slotAt(offset);
+  if (slot <= now) return slot;
+  return slotAt(offset - (user.digest_frequency === 'weekly' ? 7 : 1));
+};
+
+// Whether a digest should go out now: the latest slot hasn't been sent yet
+// and isn't older than the grace period
+const isDigestDue = (user, now, timeZone = DEFAULT_TIMEZONE) => {
+  if (!['daily', 'weekly'].includes(user.digest_frequency)) return false;
+  const slot = latestDigestSlot(user, now, timeZone);
+  if (now - slot > DIGEST_GRACE_MS) return false;
+  return !user.last_digest_sent_at || new Date(user.last_digest_sent_at) < slot;
+};
+
+// Whether the user's latest digest already listed this reminder under Today:
+// it went out earlier on the local day the reminder is due, after the
+// reminder was saved. Only then is the reminder's own email left to the
+// digest; one due later, or saved after the digest went out, is emailed as
+// usual. Without created_at the reminder is never treated as listed.
+const listedInSentDigest = (user, reminder, timeZone = DEFAULT_TIMEZONE) => {
+  if (!['daily', 'weekly'].includes(user?.digest_frequency) || !user.last_digest_sent_at) return false;
+  const sentAt = new Date(user.last_digest_sent_at);
+  const dueAt = new Date(reminder.scheduled_for);
+  return new Date(reminder.created_at) <= sentAt
+    && sentAt <= dueAt
+    && dueAt < startOfLocalDay(sentAt, timeZone, 1);
+};
+
+const openTasksOf = (reminder) => (reminder.tasks || []).filter(task => !task.completed);
+
+// A reminder's priority is that of its most pressing open task
+const reminderPriority = (reminder) => {
+  const ranks = openTasksOf(reminder).map(task => PRIORITY_ORDER.indexOf(task.priority)).filter(rank => rank >= 0);
+  return PRIORITY_ORDER[ranks.length ? Math.min(...ranks) : 1];
+};
+
+const reminderCategory = (reminder) => openTasksOf(reminder)[0]?.category || 'other';
+
+// Split open reminders into Overdue / Today / Upcoming, each grouped by
+// priority and ordered by category then time. `toItem` turns a reminder into
+// a template item (subject, tasks, scheduledFor, actions).
+const buildDigestSections = (reminders, { now, timeZone = DEFAULT_TIMEZONE, frequency = 'daily', toItem }) => {
+  const endOfToday = startOfLocalDay(now, timeZone, 1);
+  const upcomingUntil = startOfLocalDay(now, timeZone, 1 + UPCOMING_DAYS[frequency === 'weekly' ? 'weekly' : 'daily']);
+
+  const buckets = [
+    { title: '⏰ Overdue', test: (at) => at < now },
+    { title: '📅 Today', test: (at) => at >= now && at < endOfToday },
+    { title: '🔜 Upcoming', test: (at) => at >= endOfToday && at < upcomingUntil }
+  ];
+
+  return buckets.map(({ title, test }) => {
+    const inBucket = reminders
+      .filter(reminder => openTasksOf(reminder).length && test(new Date(reminder.scheduled_for)))
+      .sort((a, b) => reminderCategory(a).localeCompare(reminderCategory(b))
+        || new Date(a.scheduled_for) - new Date(b.scheduled_for));
+
+    const groups = PRIORITY_ORDER
+      .map(priority => ({
+        title: PRIORITY_TITLES[priority],
+        items: inBucket.filter(reminder => reminderPriority(reminder) === priority).map(toItem)
+      }))
+      .filter(group => group.items.length);
+
+    return { title, groups };
+  });
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  latestDigestSlot,
+  isDigestDue,
+  listedInSentDigest,
+  buildDigestSections
+};
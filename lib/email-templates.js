@@ -0,0 +1,303 @@
+// Email templates. Every render function returns { subject, html, text } so
+// each email goes out with a plain-text part alongside the HTML, and every
+// value that came from a user or a model is escaped before it reaches the HTML.
+
+const { formatInTimeZone, DEFAULT_TIMEZONE } = require('./timezone');
+
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const BRAND_GRADIENT = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
+
+const BUTTON_COLORS = {
+  primary: '#667eea',
+  success: '#10b981',
+  muted: '#6b7280'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Escape free text and keep its line breaks
+const escapeMultiline = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+const formatWhen = (date, timeZone) => formatInTimeZone(date, timeZone || DEFAULT_TIMEZONE);
+
+// --- HTML building blocks ---
+
+const layout = ({ heading, body, footer = 'Sent from TaskWhisper' }) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  </head>
+  <body style="font-family: ${FONT}; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: ${BRAND_GRADIENT}; padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+      <h1 style="color: white; margin: 0; font-size: 28px;">${escapeHtml(heading)}</h1>
+    </div>
+    <div style="background: white; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+${body}
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e0e0e0; text-align: center; color: #999; font-size: 14px;">
+        <p>${escapeHtml(footer)}</p>
+      </div>
+    </div>
+  </body>
+</html>
+`;
+
+const paragraph = (text, style = 'font-size: 16px; color: #666; margin-bottom: 20px;') => `      <p style="${style}">${escapeMultiline(text)}</p>`;
+
+const detail = (icon, label, value) => `        <p style="margin: 5px 0; color: #666;">${icon} <strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`;
+
+const button = ({ href, label, color = 'primary' }) => `<a href="${escapeHtml(href)}" style="display: inline-block; background: ${BUTTON_COLORS[color]}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 0 10px; font-weight: 600;">${escapeHtml(label)}</a>`;
+
+const buttonRow = (actions) => (actions.length
+  ? `      <div style="margin-top: 30px; text-align: center;">\n        ${actions.map(button).join('\n        ')}\n      </div>`
+  : '');
+
+// Small "Snooze: 1 hour · This evening · ..." links under the buttons
+const snoozeRow = (links) => (links.length
+  ? `      <p style="margin-top: 20px; text-align: center; color: #999; font-size: 14px;">😴 Snooze: ${links.map(({ href, label }) => `<a href="${escapeHtml(href)}" style="color: #667eea;">${escapeHtml(label)}</a>`).join(' · ')}</p>`
+  : '');
+
+// Which of a task's fields to show; follow-ups only list the description
+const taskCard = (task, { details = true } = {}) => [
+  '      <div style="background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 5px;">',
+  `        <h3 style="margin: 0 0 10px 0; color: #333;">${escapeHtml(task.description)}</h3>`,
+  ...(details ? [
+    task.suggestedDate ? detail('📅', 'When', task.suggestedDate) : null,
+    task.priority ? detail('⚡', 'Priority', task.priority) : null,
+    task.category ? detail('📂', 'Category', task.category) : null
+  ] : []),
+  '      </div>'
+].filter(Boolean).join('\n');
+
+// --- Plain-text building blocks ---
+
+const textTask = (task, { details = true } = {}) => {
+  const extras = details ? [task.suggestedDate, task.priority, task.category].filter(Boolean) : [];
+  return `- ${task.description}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+};
+
+const textActions = (actions) => actions.map(({ label, href }) => `${label.replace(/^\W+\s*/, '')}: ${href}`);
+
+const textSnooze = (links) => (links.length ? ['', ...links.map(({ label, href }) => `Snooze ${label.charAt(0).toLowerCase()}${label.slice(1)}: ${href}`)] : []);
+
+const textDocument = (lines) => `${lines.filter(line => line !== null && line !== undefined).join('\n')}\n\n--\nSent from TaskWhisper\n`;
+
+// --- Templates ---
+
+// A reminder as it goes out at its scheduled time (or straight away from
+// /api/send-email). `actions` are optional { label, href, color } buttons and
+// `snooze` optional { label, href } snooze links.
+const renderReminderEmail = ({
+  subject,
+  message,
+  tasks = [],
+  scheduledFor = null,
+  timeZone = DEFAULT_TIMEZONE,
+  recurrenceDescription = null,
+  actions = [],
+  snooze = []
+}) => {
+  const finalSubject = subject || 'TaskWhisper Reminder - Your Tasks';
+  const intro = message || 'Here are your tasks:';
+
+  const html = layout({
+    heading: '🎤 TaskWhisper Reminder',
+    body: [
+      paragraph(intro),
+      scheduledFor ? detail('⏰', 'Scheduled for', formatWhen(scheduledFor, timeZone)) : null,
+      '      <h2 style="color: #667eea; margin-top: 30px; margin-bottom: 20px;">Your Tasks:</h2>',
+      ...tasks.map(task => taskCard(task)),
+      recurrenceDescription ? paragraph(`🔁 This reminder repeats ${recurrenceDescription}.`, 'margin-top: 20px; color: #666;') : null,
+      buttonRow(actions),
+      snoozeRow(snooze)
+    ].filter(Boolean).join('\n')
+  });
+
+  const text = textDocument([
+    intro,
+    scheduledFor ? `\nScheduled for: ${formatWhen(scheduledFor, timeZone)}` : null,
+    '\nYour tasks:',
+    ...tasks.map(task => textTask(task)),
+    recurrenceDescription ? `\nThis reminder repeats ${recurrenceDescription}.` : null,
+    actions.length ? '' : null,
+    ...textActions(actions),
+    ...textSnooze(snooze)
+  ]);
+
+  return { subject: finalSubject, html, text };
+};
+
+// "Did you complete your task?" for a reminder that's still open.
+// `followUpNumber` / `maxFollowUps` say where this is in the follow-up policy
+// and `nextStep` ({ at, action: 'followup' | 'archive' }) what happens next.
+const renderFollowUpEmail = ({
+  tasks = [],
+  scheduledFor = null,
+  timeZone = DEFAULT_TIMEZONE,
+  urgent = false,
+  followUpNumber = null,
+  maxFollowUps = null,
+  nextStep = null,
+  actions = [],
+  snooze = []
+}) => {
+  const intro = urgent
+    ? 'This one is marked urgent. Did you get it done? If not, I can remind you again!'
+    : 'Hey! Did you complete your task? If not, I can remind you again!';
+  const progress = followUpNumber && maxFollowUps ? `Follow-up ${followUpNumber} of ${maxFollowUps}` : null;
+
+  let outlook = null;
+  if (nextStep?.action === 'followup') {
+    outlook = `If it's still open, I'll check in again on ${formatWhen(nextStep.at, timeZone)}.`;
+  } else if (nextStep?.action === 'archive') {
+    outlook = `This is the last follow-up. If it's still open on ${formatWhen(nextStep.at, timeZone)}, it will be archived as not done.`;
+  } else if (progress && followUpNumber >= maxFollowUps) {
+    outlook = "This is the last follow-up. I won't ask about it again.";
+  }
+
+  const html = layout({
+    heading: urgent ? '⚡ TaskWhisper Urgent Follow-up' : '🤔 TaskWhisper Follow-up',
+    body: [
+      paragraph(intro),
+      ...tasks.map(task => taskCard(task, { details: false })),
+      scheduledFor ? paragraph(`Reminder was scheduled for ${formatWhen(scheduledFor, timeZone)}`, 'margin: 5px 0; color: #999; font-size: 14px;') : null,
+      progress ? paragraph(progress, 'margin: 5px 0; color: #999; font-size: 14px;') : null,
+      outlook ? paragraph(outlook, 'margin-top: 20px; color: #666;') : null,
+      buttonRow(actions),
+      snoozeRow(snooze)
+    ].filter(Boolean).join('\n')
+  });
+
+  const text = textDocument([
+    intro,
+    '',
+    ...tasks.map(task => textTask(task, { details: false })),
+    scheduledFor ? `\nReminder was scheduled for ${formatWhen(scheduledFor, timeZone)}` : null,
+    progress,
+    outlook ? `\n${outlook}` : null,
+    actions.length ? '' : null,
+    ...textActions(actions),
+    ...textSnooze(snooze)
+  ]);
+
+  const subject = urgent ? 'Urgent: did you complete your task?' : 'Did you complete your task?';
+  return { subject, html, text };
+};
+
+// A summary of several reminders. `sections` is a list of
+// { title, groups: [{ title, items: [{ subject, tasks, scheduledFor, actions }] }] };
+// empty groups and sections are left out.
+const renderDigestEmail = ({
+  subject = 'Your TaskWhisper digest',
+  intro = 'Here is what is on your plate:',
+  sections = [],
+  timeZone = DEFAULT_TIMEZONE
+}) => {
+  const filled = sections
+    .map(section => ({ ...section, groups: section.groups.filter(group => group.items.length) }))
+    .filter(section => section.groups.length);
+
+  const itemHtml = (item) => [
+    '      <div style="background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 5px;">',
+    `        <h3 style="margin: 0 0 10px 0; color: #333;">${escapeHtml(item.subject)}</h3>`,
+    ...(item.tasks || []).map(task => `        <p style="margin: 5px 0; color: #666;">• ${escapeHtml(task.description)}${task.priority ? ` <span style="color: #999;">(${escapeHtml(task.priority)}${task.category ? `, ${escapeHtml(task.category)}` : ''})</span>` : ''}</p>`),
+    item.scheduledFor ? `        <p style="margin: 5px 0; color: #999; font-size: 14px;">⏰ ${escapeHtml(formatWhen(item.scheduledFor, timeZone))}</p>` : null,
+    (item.actions || []).length
+      ? `        <p style="margin: 10px 0 0 0;">${item.actions.map(({ href, label }) => `<a href="${escapeHtml(href)}" style="color: #667eea; font-weight: 600; margin-right: 15px;">${escapeHtml(label)}</a>`).join('')}</p>`
+      : null,
+    '      </div>'
+  ].filter(Boolean).join('\n');
+
+  const html = layout({
+    heading: '📋 TaskWhisper Digest',
+    body: [
+      paragraph(intro),
+      ...filled.map(section => [
+        `      <h2 style="color: #667eea; margin-top: 30px; margin-bottom: 10px;">${escapeHtml(section.title)}</h2>`,
+        ...section.groups.flatMap(group => [
+          `      <h4 style="margin: 15px 0 5px 0; color: #999; text-transform: uppercase; font-size: 12px;">${escapeHtml(group.title)}</h4>`,
+          ...group.items.map(itemHtml)
+        ])
+      ].join('\n'))
+    ].join('\n')
+  });
+
+  const text = textDocument([
+    intro,
+    ...filled.flatMap(section => [
+      `\n${section.title.toUpperCase()}`,
+      ...section.groups.flatMap(group => [
+        `\n[${group.title}]`,
+        ...group.items.flatMap(item => [
+          `* ${item.subject}${item.scheduledFor ? ` (${formatWhen(item.scheduledFor, timeZone)})` : ''}`,
+          ...(item.tasks || []).map(task => `  ${textTask(task, { details: false })}`),
+          ...textActions(item.actions || []).map(line => `  ${line}`)
+        ])
+      ])
+    ])
+  ]);
+
+  return { subject, html, text };
+};
+
+// The answer to an emailed reply ("done", "remind me Friday", a new task),
+// threaded under the email that was replied to
+const renderReplyConfirmationEmail = ({
+  subject = '',
+  message,
+  tasks = [],
+  scheduledFor = null,
+  timeZone = DEFAULT_TIMEZONE
+}) => {
+  const html = layout({
+    heading: '📨 TaskWhisper',
+    body: [
+      paragraph(message),
+      ...tasks.map(task => taskCard(task)),
+      scheduledFor ? detail('⏰', 'Scheduled for', formatWhen(scheduledFor, timeZone)) : null
+    ].filter(Boolean).join('\n')
+  });
+
+  const text = textDocument([
+    message,
+    tasks.length ? '' : null,
+    ...tasks.map(task => textTask(task)),
+    scheduledFor ? `\nScheduled for: ${formatWhen(scheduledFor, timeZone)}` : null
+  ]);
+
+  const finalSubject = /^re:/i.test(subject) ? subject : `Re: ${subject || 'Your TaskWhisper reminder'}`;
+  return { subject: finalSubject, html, text };
+};
+
+const renderSignInEmail = ({ loginUrl }) => {
+  const intro = 'Click the button below to sign in. This link expires in 15 minutes and can only be used once.';
+  const html = layout({
+    heading: '🎤 Sign in to TaskWhisper',
+    body: [
+      paragraph(intro),
+      buttonRow([{ href: loginUrl, label: 'Sign in' }]),
+      paragraph("If you didn't request this, you can ignore this email.", 'margin-top: 30px; color: #999; font-size: 14px;')
+    ].join('\n')
+  });
+
+  const text = textDocument([
+    intro,
+    '',
+    `Sign in: ${loginUrl}`,
+    '',
+    "If you didn't request this, you can ignore this email."
+  ]);
+
+  return { subject: 'Your TaskWhisper sign-in link', html, text };
+};
+
+module.exports = {
+  escapeHtml,
+  renderReminderEmail,
+  renderFollowUpEmail,
+  renderDigestEmail,
+  renderReplyConfirmationEmail,
+  renderSignInEmail
+};
@@ -0,0 +1,129 @@
+// Follow-up policy: when to ask "did you do it?" after a reminder goes out,
+// how often, and when to give up and archive the reminder as not done.
+//
+// A policy is stored as JSON on the user (their default) and optionally on a
+// reminder (an override); missing keys fall back to the layer below, ending
+// at DEFAULT_FOLLOWUP_POLICY:
+//
+//   delaysHours         hours to wait before each follow-up; the last value
+//                       repeats, so [24, 48, 168] backs off to weekly
+//   urgentDelaysHours   the same for reminders with an urgent open task
+//   maxFollowUps        follow-ups to send before giving up (0 = none)
+//   escalateUrgentToSms also text urgent follow-ups when there's a phone number
+//   quietHours          { start, end } local hours with no follow-ups, or null
+//   autoArchive         archive as not done one delay after the last follow-up
+
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_FOLLOWUP_POLICY = {
+  delaysHours: [24, 48, 168],
+  urgentDelaysHours: [4, 24, 48],
+  maxFollowUps: 3,
+  escalateUrgentToSms: true,
+  quietHours: { start: 22, end: 8 },
+  autoArchive: true
+};
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+const validateDelays = (key, value) => {
+  if (!Array.isArray(value) || !value.length || value.length > 10
+    || !value.every(hours => typeof hours === 'number' && hours >= 1 && hours <= 24 * 90)) {
+    throw new Error(`${key} must be a list of 1-10 delays between 1 and 2160 hours`);
+  }
+};
+
+// Validate a (partial) policy from the client. Returns the cleaned policy,
+// or null to clear it; throws an Error naming the first invalid setting.
+const normalizeFollowUpPolicy = (input) => {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Follow-up policy must be an object');
+  }
+
+  const policy = {};
+  for (const [key, value] of Object.entries(input)) {
+    switch (key) {
+      case 'delaysHours':
+      case 'urgentDelaysHours':
+        validateDelays(key, value);
+        policy[key] = value;
+        break;
+      case 'maxFollowUps':
+        if (!Number.isInteger(value) || value < 0 || value > 20) {
+          throw new Error('maxFollowUps must be a whole number from 0 to 20');
+        }
+        policy[key] = value;
+        break;
+      case 'escalateUrgentToSms':
+      case 'autoArchive':
+        if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+        policy[key] = value;
+        break;
+      case 'quietHours':
+        if (value !== null && !(value && isHour(value.start) && isHour(value.end) && value.start !== value.end)) {
+          throw new Error('quietHours must be null or { start, end } with different hours from 0 to 23');
+        }
+        policy[key] = value && { start: value.start, end: value.end };
+        break;
+      default:
+        throw new Error(`Unknown follow-up setting: ${key}`);
+    }
+  }
+  return policy;
+};
+
+// Merge policy layers, most general first: resolveFollowUpPolicy(user, reminder)
+const resolveFollowUpPolicy = (...layers) => Object.assign({}, DEFAULT_FOLLOWUP_POLICY, ...layers.filter(Boolean));
+
+const isUrgentReminder = (reminder) => (reminder.tasks || [])
+  .some(task => !task.completed && task.priority === 'urgent');
+
+const delayHoursFor = (policy, reminder, count) => {
+  const delays = isUrgentReminder(reminder) ? policy.urgentDelaysHours : policy.delaysHours;
+  return delays[Math.min(count, delays.length - 1)];
+};
+
+const inQuietHours = (hour, { start, end }) => (start > end
+  ? hour >= start || hour < end
+  : hour >= start && hour < end);
+
+// Move a time that falls in quiet hours to the moment they end
+const applyQuietHours = (date, quietHours, timeZone = DEFAULT_TIMEZONE) => {
+  if (!quietHours) return date;
+  const local = getZonedParts(date, timeZone);
+  if (!inQuietHours(local.hour, quietHours)) return date;
+
+  // Overnight windows that started this evening end tomorrow morning
+  const dayOffset = quietHours.start > quietHours.end && local.hour >= quietHours.start ? 1 : 0;
+  const day = new Date(Date.UTC(local.year, local.month - 1, local.day + dayOffset));
+  return zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+    hour: quietHours.end
+  }, timeZone);
+};
+
+// When the next follow-up step is due after `from` (the reminder or the last
+// follow-up going out), given `count` follow-ups sent so far. Returns
+// { at, action: 'followup' | 'archive' }, or null when nothing more happens.
+const nextFollowUpStep = (reminder, policy, { from, count = 0, timeZone = DEFAULT_TIMEZONE }) => {
+  const action = count < policy.maxFollowUps ? 'followup' : 'archive';
+  if (action === 'archive' && !policy.autoArchive) return null;
+
+  const due = new Date(new Date(from).getTime() + delayHoursFor(policy, reminder, count) * HOUR_MS);
+  // Archiving is silent, so it doesn't need to wait for quiet hours to end
+  return { at: action === 'followup' ? applyQuietHours(due, policy.quietHours, timeZone) : due, action };
+};
+
+module.exports = {
+  DEFAULT_FOLLOWUP_POLICY,
+  normalizeFollowUpPolicy,
+  resolveFollowUpPolicy,
+  isUrgentReminder,
+  applyQuietHours,
+  nextFollowUpStep
+};
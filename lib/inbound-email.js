@@ -0,0 +1,268 @@
+// Inbound email: replies to reminder and follow-up emails. Reminder emails go
+// out with a Reply-To of reply+<reminder id>.<token>@INBOUND_EMAIL_DOMAIN, so
+// a reply can be matched to its reminder without trusting the subject line.
+//
+// The webhook accepts either a raw MIME message (Content-Type message/rfc822,
+// e.g. `curl --data-binary @reply.eml`) or a provider's parsed JSON
+// ({ from, to, subject, text }, optionally wrapped in { data } as Resend
+// does, or { raw } with the MIME source). Both come out of
+// parseInboundPayload() in the same shape.
+
+const { hasActionTokenSecret, createReplyToken } = require('./action-tokens');
+const { parseDatePhrase } = require('./date-parser');
+const { snoozeUntil } = require('./snooze');
+
+const REPLY_ADDRESS_PATTERN = /reply\+([0-9a-f-]+)\.([0-9a-f]{24})@/i;
+
+const getInboundDomain = () => process.env.INBOUND_EMAIL_DOMAIN || null;
+
+// The Reply-To for a reminder's emails, or null when inbound email isn't set
+// up (which takes ACTION_TOKEN_SECRET too, to sign the address)
+const replyAddressFor = (reminderId) => {
+  const domain = getInboundDomain();
+  return domain && hasActionTokenSecret() ? `TaskWhisper <reply+${reminderId}.${createReplyToken(reminderId)}@${domain}>` : null;
+};
+
+// --- MIME ---
+
+const decodeBytes = (buffer, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+const decodeQuotedPrintable = (value) => {
+  const bytes = [];
+  const input = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] === '=' && /^[0-9A-F]{2}$/i.test(input.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(input.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(input[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// =?charset?B|Q?...?= words in headers such as Subject and From
+const decodeHeaderWords = (value) => value
+  .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+  .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => decodeBytes(
+    encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' ')),
+    charset
+  ));
+
+// Headers as a map of lowercase name -> list of values, folded lines joined
+const parseHeaders = (block) => {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  }
+  return headers;
+};
+
+// "text/plain; charset=utf-8" -> { type: 'text/plain', params: { charset: 'utf-8' } }
+const parseContentType = (value = 'text/plain') => {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  for (const param of rest) {
+    const match = /^\s*([^=\s]+)\s*=\s*"?([^"]*)"?\s*$/.exec(param);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  }
+  return { type: type.trim().toLowerCase(), params };
+};
+
+const splitMessage = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: '' };
+};
+
+const stripHtml = (html) => html
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+  .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// The message's text: the first text/plain part, or the first text/html
+// part with its tags stripped
+const extractText = (headers, body) => {
+  const { type, params } = parseContentType(headers['content-type']?.[0]);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const parts = body
+      .split(`--${params.boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => splitMessage(part.replace(/^\r?\n/, '')))
+      .map(({ head, body: partBody }) => ({ headers: parseHeaders(head), body: partBody }));
+
+    const pick = (wanted) => parts.find(part => parseContentType(part.headers['content-type']?.[0]).type === wanted);
+    const plain = pick('text/plain');
+    if (plain) return extractText(plain.headers, plain.body);
+    const html = pick('text/html');
+    if (html) return extractText(html.headers, html.body);
+
+    for (const part of parts) {
+      if (parseContentType(part.headers['content-type']?.[0]).type.startsWith('multipart/')) {
+        const text = extractText(part.headers, part.body);
+        if (text) return text;
+      }
+    }
+    return '';
+  }
+
+  if (!type.startsWith('text/')) return '';
+
+  const encoding = (headers['content-transfer-encoding']?.[0] || '').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(body)
+      : Buffer.from(body, 'utf8');
+  const text = decodeBytes(bytes, params.charset);
+  return type === 'text/html' ? stripHtml(text) : text;
+};
+
+const ADDRESS_PATTERN = /[^\s<>,;:"()[\]]+@[^\s<>,;:"()[\]]+/g;
+
+const addressesIn = (values) => (Array.isArray(values) ? values : [values])
+  .filter(Boolean)
+  .flatMap(value => (typeof value === 'string' ? value : value.email || value.address || '').match(ADDRESS_PATTERN) || [])
+  .map(address => address.toLowerCase());
+
+// Parse a raw RFC 822 message into { from, recipients, subject, text }
+const parseRawEmail = (raw) => {
+  const { head, body } = splitMessage(String(raw));
+  const headers = parseHeaders(head);
+  return {
+    from: addressesIn(headers.from)[0] || null,
+    recipients: addressesIn([...(headers.to || []), ...(headers.cc || []), ...(headers['delivered-to'] || [])]),
+    subject: decodeHeaderWords(headers.subject?.[0] || ''),
+    text: extractText(headers, body)
+  };
+};
+
+// Normalize whatever the webhook received into { from, recipients, subject, text }
+const parseInboundPayload = (payload) => {
+  if (typeof payload === 'string' || Buffer.isBuffer(payload)) return parseRawEmail(payload.toString());
+
+  const message = payload?.data && typeof payload.data === 'object' ? payload.data : payload || {};
+  if (typeof message.raw === 'string') return parseRawEmail(message.raw);
+
+  return {
+    from: addressesIn(message.from)[0] || null,
+    recipients: addressesIn([message.to, message.cc, message.envelope?.to].flat()),
+    subject: String(message.subject || ''),
+    text: typeof message.text === 'string' && message.text.trim()
+      ? message.text
+      : typeof message.html === 'string' ? stripHtml(message.html) : ''
+  };
+};
+
+// { reminderId, token } from the first reply+ address among the recipients
+const findReplyAddress = (recipients) => {
+  for (const address of recipients) {
+    const match = REPLY_ADDRESS_PATTERN.exec(address);
+    if (match) return { reminderId: match[1], token: match[2] };
+  }
+  return null;
+};
+
+// --- Replies ---
+
+const QUOTE_HEADERS = [
+  /^On\b[\s\S]{0,300}?\bwrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^_{10,}\s*$/m,
+  /^From:\s.+$/m,
+  /^--\s*$/m
+];
+
+// What the user actually typed: the text above the quoted original,
+// without "> " lines or the signature
+const extractReplyText = (text) => {
+  let reply = String(text || '').replace(/\r\n/g, '\n');
+  for (const pattern of QUOTE_HEADERS) {
+    const match = pattern.exec(reply);
+    if (match) reply = reply.slice(0, match.index);
+  }
+  return reply
+    .split('\n')
+    .filter(line => !line.startsWith('>') && !/^sent from my /i.test(line.trim()))
+    .join('\n')
+    .trim();
+};
+
+const DONE_PATTERN = /^(?:yes[,!.\s]*)?(?:done|did it|all done|finished|completed?|got it done|i did|yes|yep|yup|yeah|✅)\b/i;
+const SNOOZE_PATTERN = /^(?:please\s+)?(?:remind me(?: again)?|snooze|not yet|no|nope|later|postpone|push(?: it)?|move(?: it)?)\b/i;
+// "Not done yet", "haven't done it", "can't today": still open, so a snooze
+const NEGATION_PATTERN = /^(?:no[,.!\s]+|nope[,.!\s]+)?(?:i\s+)?(?:not (?:done|finished|yet|today|now)|haven'?t|have not|hasn'?t|can'?t|cannot|can not|couldn'?t|didn'?t|did not|won'?t|wasn'?t able)\b/i;
+// Days a negation is about rather than a time to snooze to ("can't today")
+const NEGATED_DAY = /^(?:today|tonight|now|this (?:morning|afternoon|evening))$/;
+const ADD_PREFIX = /^(?:also|add|new task|and|remind me to)\s*[:,-]?\s+/i;
+const FILLER = /\b(?:please|remind me|again|about (?:it|this)|snooze(?: it)?|push(?: it)?|move(?: it)?|not yet|no|nope|later|postpone|to|until|till|for|on|at|thanks|thank you)\b|[.,!]/gi;
+
+// Work out what a reply asks for:
+//   { intent: 'done' }
+//   { intent: 'snooze', until: Date, phrase }
+//   { intent: 'add', text }
+//   { intent: 'unknown' }
+// A snooze without a date ("not yet", "later") means tomorrow morning. A new
+// task has to be asked for ("add: call mom tomorrow", "remind me to call mom
+// tomorrow"); anything else we can't read is 'unknown', never a task.
+const interpretReply = (replyText, { now = new Date(), timeZone } = {}) => {
+  const text = String(replyText || '').trim().replace(/[‘’]/g, "'");
+  const firstLine = text.split('\n')[0].trim();
+  if (!firstLine) return { intent: 'unknown' };
+
+  const date = parseDatePhrase(firstLine, { now, timeZone });
+
+  if (NEGATION_PATTERN.test(firstLine)) {
+    const later = date && NEGATED_DAY.test(date.text)
+      ? parseDatePhrase(firstLine.toLowerCase().replace(date.text, ' '), { now, timeZone })
+      : date;
+    if (later && later.date > now) return { intent: 'snooze', until: later.date, phrase: later.text };
+    return { intent: 'snooze', until: snoozeUntil('tomorrow', { now, timeZone }), phrase: 'tomorrow morning' };
+  }
+
+  if (DONE_PATTERN.test(firstLine)) return { intent: 'done' };
+
+  const leftover = (date ? firstLine.toLowerCase().replace(date.text.toLowerCase(), '') : firstLine)
+    .replace(FILLER, '')
+    .trim();
+
+  if ((SNOOZE_PATTERN.test(firstLine) || date) && leftover.split(/\s+/).filter(Boolean).length < 2) {
+    if (date && date.date > now) return { intent: 'snooze', until: date.date, phrase: date.text };
+    return { intent: 'snooze', until: snoozeUntil('tomorrow', { now, timeZone }), phrase: 'tomorrow morning' };
+  }
+
+  if (!ADD_PREFIX.test(text)) return { intent: 'unknown' };
+  const task = text.replace(ADD_PREFIX, '').trim();
+  return task.split(/\s+/).length >= 2 ? { intent: 'add', text: task } : { intent: 'unknown' };
+};
+
+module.exports = {
+  getInboundDomain,
+  replyAddressFor,
+  parseRawEmail,
+  parseInboundPayload,
+  findReplyAddress,
+  extractReplyText,
+  interpretReply
+};
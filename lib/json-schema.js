@@ -0,0 +1,82 @@
+// A small JSON Schema checker for the analysis schema (lib/analysis-schema.js)
+// and the request schemas (lib/request-schemas.js). Checks the subset they
+// use: type (including 'integer'), required, properties,
+// additionalProperties: false, items, enum, min/maxLength, min/maxItems,
+// minimum/maximum and pattern.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const hasType = (value, type) => (type === 'integer' ? Number.isInteger(value) : typeOf(value) === type);
+
+const collectErrors = (schema, value, path, errors, formats) => {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => hasType(value, type))) {
+    errors.push({ field: path, message: `must be ${types.join(' or ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field: path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: path, message: `must be in the format ${formats[schema.pattern] || schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => collectErrors(schema.items, item, `${path}[${index}]`, errors, formats));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const prefix = path ? `${path}.` : '';
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: `${prefix}${key}`, message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) collectErrors(propertySchema, value[key], `${prefix}${key}`, errors, formats);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(schema.properties, key)) errors.push({ field: `${prefix}${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Returns a list of { field, message } with paths like "tasks[0].priority";
+// empty when `value` matches. `formats` gives readable names for patterns
+// in the messages.
+const checkSchema = (schema, value, { formats = {} } = {}) => collectErrors(schema, value, '', [], formats);
+
+module.exports = { checkSchema };
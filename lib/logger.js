@@ -0,0 +1,119 @@
+// Structured logging: one JSON object per line, stamped with the request ID
+// (or scheduler run) it belongs to, with personal data taken out.
+//
+// LOG_LEVEL sets the lowest level written: debug, info (the default), warn or
+// error. LOG_FORMAT=pretty prints readable lines instead of JSON, for local use.
+//
+// Redaction goes by field name and by value. Things people said or wrote
+// (transcripts, tasks, drafts, subjects) are replaced by their length,
+// secrets and phone numbers are replaced outright, and email addresses and
+// phone numbers are masked wherever else they turn up, error messages
+// included. Pass IDs rather than whole rows.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// User content: logged as its size only
+const CONTENT_FIELDS = new Set([
+  'transcript', 'text', 'body', 'html', 'prompt', 'input', 'arguments',
+  'tasks', 'description', 'emailDraft', 'email_draft', 'emailBody',
+  'subject', 'emailSubject', 'email_subject'
+]);
+
+const SECRET_FIELDS = new Set([
+  'token', 'actionToken', 'authorization', 'cookie', 'secret', 'password',
+  'endpoint', 'p256dh', 'auth', 'phoneNumber', 'phone_number'
+]);
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+const PHONE_PATTERN = /\+[1-9]\d{7,14}\b/g;
+
+const MAX_DEPTH = 6;
+const MAX_ITEMS = 20;
+const MAX_STRING_LENGTH = 2000;
+
+// jay@example.com -> j***@example.com; phone numbers -> [phone]
+const scrub = (text) => {
+  const scrubbed = text.replace(EMAIL_PATTERN, '$1***@$2').replace(PHONE_PATTERN, '[phone]');
+  return scrubbed.length > MAX_STRING_LENGTH ? `${scrubbed.slice(0, MAX_STRING_LENGTH)}…` : scrubbed;
+};
+
+const describeContent = (value) => {
+  if (typeof value === 'string') return `[${value.length} chars]`;
+  if (Array.isArray(value)) return `[${value.length} items]`;
+  return '[redacted]';
+};
+
+const serializeError = (error, depth) => ({
+  name: error.name,
+  message: scrub(String(error.message)),
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  ...(error.fields && { fields: redact(error.fields, null, depth + 1) }),
+  ...(error.stack && { stack: scrub(error.stack) })
+});
+
+// A copy of `value` that's safe to log. `key` is the field it was found under.
+const redact = (value, key = null, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_FIELDS.has(key)) return '[redacted]';
+  if (key && CONTENT_FIELDS.has(key)) return describeContent(value);
+  if (value instanceof Error) return serializeError(value, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string') return scrub(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map(item => redact(item, null, depth + 1));
+    if (value.length > MAX_ITEMS) items.push(`[${value.length - MAX_ITEMS} more]`);
+    return items;
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field, depth + 1)]));
+};
+
+// Fields added to every line logged inside fn, e.g. the request ID
+const context = new AsyncLocalStorage();
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+const getLogContext = () => context.getStore() || {};
+
+const prettyLine = ({ time, level, msg, ...fields }) => {
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}\n`;
+};
+
+const createLogger = ({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'json',
+  bindings = {}
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (levelName, msg, fields = {}) => {
+    if (LEVELS[levelName] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...getLogContext(),
+      ...bindings,
+      ...redact(fields)
+    };
+    const line = format === 'pretty' ? prettyLine(entry) : `${JSON.stringify(entry)}\n`;
+    (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    // A logger adding `fields` to everything it writes
+    child: (fields) => createLogger({ level, format, bindings: { ...bindings, ...fields } })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, withLogContext, getLogContext, redact };
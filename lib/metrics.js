@@ -0,0 +1,101 @@
+// Counters, gauges and histograms kept in memory and written out in the
+// Prometheus text format for /api/metrics. Each instance reports its own
+// numbers since it started; Prometheus adds them up across instances.
+//
+//   const requests = metrics.counter('http_requests_total', 'Requests', ['route']);
+//   requests.inc({ route: '/api/reminders' });
+//
+// Label values should come from a small set (route patterns, providers,
+// statuses), never IDs or user input.
+
+// Seconds, from a fast database call to a long transcription
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// One series per distinct set of label values
+const createSeries = (labelNames, initial) => {
+  const series = new Map();
+  return {
+    get: (labels = {}) => {
+      const picked = Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, ...initial() });
+      return series.get(key);
+    },
+    all: () => [...series.values()]
+  };
+};
+
+const createMetrics = () => {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc: (labels, amount = 1) => {
+        series.get(labels).value += amount;
+      },
+      lines: () => series.all().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+  };
+
+  // A value read when the metrics are written out. collect() returns a
+  // number, or a list of { labels, value }.
+  const gauge = (name, help, collect) => register({
+    name,
+    help,
+    type: 'gauge',
+    lines: () => [].concat(collect())
+      .map(sample => (typeof sample === 'number' ? { labels: {}, value: sample } : sample))
+      .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe: (labels, value) => {
+        const entry = series.get(labels);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      lines: () => series.all().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+  };
+
+  const render = () => `${metrics.map(({ name, help, type, lines }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...lines()
+  ].join('\n')).join('\n')}\n`;
+
+  return { counter, gauge, histogram, render };
+};
+
+// Seconds since `start` (from process.hrtime.bigint())
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+module.exports = { DEFAULT_BUCKETS, createMetrics, secondsSince };
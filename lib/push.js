@@ -0,0 +1,108 @@
+// Web Push: reminders shown as notifications by the installed app's service
+// worker, signed with the server's VAPID keys (VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY, made with `npx web-push generate-vapid-keys`, plus a
+// VAPID_SUBJECT contact). Browsers hand us a subscription per device, which
+// is stored against the user in push_subscriptions.
+//
+// Push services answer 404 or 410 once a subscription has expired or the user
+// has turned notifications off; those subscriptions are reported back so the
+// caller can remove them.
+
+const webpush = require('web-push');
+
+// How long a push service keeps trying to reach a device that's offline
+const PUSH_TTL_SECONDS = 12 * 60 * 60;
+
+// Snooze offered as a notification button (one of lib/snooze.js's options)
+const PUSH_SNOOZE_OPTION = '1h';
+
+class PushSubscriptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PushSubscriptionError';
+    this.status = 400;
+    this.code = 'invalid_subscription';
+  }
+}
+
+// VAPID details for signing, or null when push isn't set up
+const getVapidDetails = () => (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+  ? {
+    subject: process.env.VAPID_SUBJECT || 'mailto:noreply@jaypwadhwani.com',
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY
+  }
+  : null);
+
+// PushSubscription.toJSON() from the browser -> the columns we store
+const parseSubscription = (subscription) => {
+  const endpoint = subscription?.endpoint;
+  const { p256dh, auth } = subscription?.keys || {};
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    // reported below
+  }
+  if (!url || url.protocol !== 'https:') {
+    throw new PushSubscriptionError('subscription.endpoint must be an https URL');
+  }
+  if (typeof p256dh !== 'string' || !p256dh || typeof auth !== 'string' || !auth) {
+    throw new PushSubscriptionError('subscription.keys must include p256dh and auth');
+  }
+  return { endpoint, p256dh, auth };
+};
+
+const isExpiredSubscription = (error) => [404, 410].includes(error?.statusCode);
+
+// What the service worker's push handler shows. The action tokens let the
+// Done and Snooze buttons work without a session; `links` are the pages to
+// open instead when a button's request fails.
+const buildReminderNotification = ({ reminderId, title, body, completeToken, snoozeToken, links }) => ({
+  title,
+  body,
+  tag: `reminder-${reminderId}`,
+  reminderId,
+  snoozeOption: PUSH_SNOOZE_OPTION,
+  tokens: { complete: completeToken, snooze: snoozeToken },
+  links
+});
+
+// Send one notification to each of a user's subscriptions (rows from
+// push_subscriptions). Returns the IDs of the ones it reached and of the
+// expired ones, and the errors from the rest.
+const sendToSubscriptions = async (subscriptions, notification, vapidDetails) => {
+  const payload = JSON.stringify(notification);
+  const sent = [];
+  const expired = [];
+  const errors = [];
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        payload,
+        { vapidDetails, TTL: PUSH_TTL_SECONDS, urgency: 'high' }
+      );
+      sent.push(subscription.id);
+    } catch (error) {
+      if (isExpiredSubscription(error)) {
+        expired.push(subscription.id);
+      } else {
+        errors.push(error.statusCode ? `Push service returned ${error.statusCode}` : error.message);
+      }
+    }
+  }));
+
+  return { sent, expired, errors };
+};
+
+module.exports = {
+  PUSH_SNOOZE_OPTION,
+  PushSubscriptionError,
+  getVapidDetails,
+  parseSubscription,
+  isExpiredSubscription,
+  buildReminderNotification,
+  sendToSubscriptions
+};
@@ -0,0 +1,81 @@
+// Abuse protection for the API: request rate limits and daily quotas.
+//
+// Rate limits count requests per key (an IP address or user ID) in fixed
+// windows, in memory. Each instance keeps its own counts, which is enough to
+// stop a runaway client without a shared store.
+//
+// Quotas cap how many times a user can use something paid for (transcription,
+// analysis, email) per UTC day. They're counted in storage (see
+// lib/storage), so they hold across restarts and instances. A request uses
+// up its quota when it starts, whether or not it then succeeds.
+
+const { logger } = require('./logger');
+
+const reject = (res, code, message, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({ success: false, code, error: message, retryAfter: retryAfterSeconds });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each key keyFor(req)
+// returns. Requests without a key (keyFor returns null) aren't counted.
+const createRateLimiter = ({ name, windowMs, max, keyFor }) => {
+  const windows = new Map();
+
+  // Drop finished windows so the map doesn't grow with every IP ever seen
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (key === null || key === undefined) return next();
+
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    if (window.count <= max) return next();
+
+    logger.warn('Rate limit hit', { limiter: name });
+    reject(res, 'rate_limited', 'Too many requests. Please wait a moment and try again.', Math.ceil((window.resetAt - now) / 1000));
+  };
+};
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+// Charge one use of `metric` to a user. Returns { allowed, limit, retryAfter }
+// where retryAfter is the seconds until the count resets at midnight UTC.
+const useDailyQuota = async ({ storage, metric, limit, userId, now = new Date() }) => {
+  const used = await storage.usageCounters.increment({ user_id: userId, day: utcDay(now), metric });
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return { allowed: used <= limit, limit, retryAfter: Math.ceil((midnight - now) / 1000) };
+};
+
+// A quota's rejection message, e.g. for label 'transcriptions'
+const quotaMessage = (limit, label) => `You've reached today's limit of ${limit} ${label}. It resets at midnight UTC.`;
+
+// Middleware charging one use of `metric` to the signed-in user, rejecting the
+// request once they've used `limit` today. `label` names the uses in the
+// error, e.g. 'transcriptions'.
+const createDailyQuota = ({ storage, metric, limit, label }) => async (req, res, next) => {
+  let quota;
+  try {
+    quota = await useDailyQuota({ storage, metric, limit, userId: req.user.id });
+  } catch (error) {
+    logger.error('Error checking quota', { metric, error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  if (quota.allowed) return next();
+
+  logger.warn('Daily quota reached', { metric, userId: req.user.id });
+  reject(res, 'quota_exceeded', quotaMessage(limit, label), quota.retryAfter);
+};
+
+module.exports = { createRateLimiter, useDailyQuota, quotaMessage, createDailyQuota };
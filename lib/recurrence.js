@@ -0,0 +1,239 @@
+// Recurring reminders: a subset of iCalendar RRULE (RFC 5545).
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY
+// (MO..SU, with an ordinal for MONTHLY such as 1MO or -1FR), BYMONTHDAY
+// (1..31 or -1 for the last day), COUNT and UNTIL. Occurrences keep the
+// wall-clock time of the first occurrence (DTSTART) in the reminder's
+// timezone, so "every day at 9am" stays at 9am across DST changes.
+
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('./timezone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give up looking for a next occurrence after this many days (e.g. a rule
+// like BYMONTHDAY=31 with FREQ=YEARLY in a month that doesn't have one)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+};
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE" or with an "RRULE:" prefix).
+// Throws an Error describing the first problem found.
+const parseRRule = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = { interval: 1 };
+  const parts = input.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const value = (rawValue || '').toUpperCase();
+
+    if (!value) throw new Error(`Missing value for ${key || 'rule part'}`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ: ${value}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval >= 1 && rule.interval <= 365)) throw new Error(`Invalid INTERVAL: ${value}`);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(entry => {
+          const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          if (!match) throw new Error(`Invalid BYDAY: ${entry}`);
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null && (ordinal === 0 || ordinal < -5 || ordinal > 5)) {
+            throw new Error(`Invalid BYDAY ordinal: ${entry}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(entry => {
+          const day = parseInt(entry, 10);
+          if (!(day >= 1 && day <= 31) && day !== -1) throw new Error(`Invalid BYMONTHDAY: ${entry}`);
+          return day;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count >= 1)) throw new Error(`Invalid COUNT: ${value}`);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        if (!rule.until) throw new Error(`Invalid UNTIL: ${value}`);
+        break;
+      default:
+        throw new Error(`Unsupported rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.count && rule.until) throw new Error('COUNT and UNTIL cannot both be set');
+  if (rule.byDay?.some(day => day.ordinal !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('BYDAY ordinals are only supported with FREQ=MONTHLY');
+  }
+  if (rule.byMonthDay && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY or YEARLY');
+  }
+
+  return rule;
+};
+
+// Canonical string form, used when storing a rule
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+};
+
+// Normalize user/model input into a stored rule string, or throw
+const normalizeRRule = (input) => formatRRule(parseRRule(input));
+
+// Local calendar days are numbered like epoch days so the frequency math is
+// plain integer arithmetic; toParts turns a day number back into a date.
+const toDayIndex = ({ year, month, day }) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+const toParts = (dayIndex) => {
+  const date = new Date(dayIndex * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const matchesMonthDay = (rule, parts, startParts) => {
+  const monthDays = rule.byMonthDay || (rule.byDay ? null : [startParts.day]);
+  if (!monthDays) return true;
+  const lastDay = daysInMonth(parts.year, parts.month);
+  return monthDays.some(day => (day === -1 ? parts.day === lastDay : parts.day === day));
+};
+
+const matchesWeekday = (rule, parts, defaultWeekdays) => {
+  const byDay = rule.byDay || defaultWeekdays?.map(weekday => ({ weekday, ordinal: null }));
+  if (!byDay) return true;
+
+  return byDay.some(({ weekday, ordinal }) => {
+    if (weekday !== parts.weekday) return false;
+    if (ordinal === null) return true;
+    // nth (or nth-from-last) weekday of the month
+    const nth = Math.ceil(parts.day / 7);
+    const nthFromLast = Math.ceil((daysInMonth(parts.year, parts.month) - parts.day + 1) / 7);
+    return ordinal > 0 ? nth === ordinal : nthFromLast === -ordinal;
+  });
+};
+
+const matchesDay = (rule, parts, startParts, dayIndex, startDayIndex) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return (dayIndex - startDayIndex) % rule.interval === 0 && matchesWeekday(rule, parts);
+    case 'WEEKLY': {
+      // Weeks start on Monday, as in RFC 5545's default WKST
+      const weekOf = (index, weekday) => Math.floor((index - ((weekday + 6) % 7)) / 7);
+      const weeks = weekOf(dayIndex, parts.weekday) - weekOf(startDayIndex, startParts.weekday);
+      return weeks % rule.interval === 0 && matchesWeekday(rule, parts, [startParts.weekday]);
+    }
+    case 'MONTHLY': {
+      const months = (parts.year - startParts.year) * 12 + parts.month - startParts.month;
+      return months % rule.interval === 0
+        && matchesMonthDay(rule, parts, startParts)
+        && matchesWeekday(rule, parts);
+    }
+    case 'YEARLY':
+      return (parts.year - startParts.year) % rule.interval === 0
+        && parts.month === startParts.month
+        && matchesMonthDay(rule, parts, startParts);
+    default:
+      return false;
+  }
+};
+
+// The first occurrence strictly after `after`, or null when the series has
+// ended. `start` is the series' first occurrence (DTSTART) and
+// `occurrenceIndex` the 0-based index of the occurrence at `after`, used for
+// COUNT. Days are counted in `timeZone`.
+const nextOccurrence = (ruleInput, start, after, occurrenceIndex = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const rule = typeof ruleInput === 'string' ? parseRRule(ruleInput) : ruleInput;
+  const afterDate = new Date(after);
+
+  if (rule.count && occurrenceIndex + 1 >= rule.count) return null;
+
+  const startLocal = getZonedParts(start, timeZone);
+  const startDayIndex = toDayIndex(startLocal);
+  const startParts = toParts(startDayIndex);
+
+  let dayIndex = Math.max(toDayIndex(getZonedParts(afterDate, timeZone)), startDayIndex);
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++, dayIndex++) {
+    const parts = toParts(dayIndex);
+    if (!matchesDay(rule, parts, startParts, dayIndex, startDayIndex)) continue;
+
+    const candidate = zonedTimeToUtc({
+      year: parts.year,
+      month: parts.month + 1,
+      day: parts.day,
+      hour: startLocal.hour,
+      minute: startLocal.minute,
+      second: startLocal.second
+    }, timeZone);
+    if (candidate <= afterDate) continue;
+    if (rule.until && candidate > rule.until) return null;
+    return candidate;
+  }
+
+  return null;
+};
+
+const ordinalSuffix = (n) => {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+// Human-readable summary such as "every weekday" or "every 2 weeks on Mon, Thu"
+const describeRRule = (ruleInput) => {
+  const rule = typeof ruleInput === 'string' ? parseRRule(ruleInput) : ruleInput;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+
+  const weekdays = (rule.byDay || []).map(day => day.weekday).sort().join(',');
+  if (weekdays === '1,2,3,4,5' && rule.byDay.every(day => day.ordinal === null) && rule.interval === 1) {
+    text = 'every weekday';
+  } else if (rule.byDay) {
+    const days = rule.byDay.map(({ weekday, ordinal }) => {
+      if (ordinal === null) return WEEKDAY_NAMES[weekday];
+      return `${ordinal === -1 ? 'last' : ordinalSuffix(ordinal)} ${WEEKDAY_NAMES[weekday]}`;
+    });
+    text += ` on ${days.join(', ')}`;
+  }
+
+  if (rule.byMonthDay) {
+    text += ` on the ${rule.byMonthDay.map(day => (day === -1 ? 'last day' : ordinalSuffix(day))).join(', ')}`;
+  }
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${rule.until.toISOString().slice(0, 10)}`;
+
+  return text;
+};
+
+module.exports = { parseRRule, formatRRule, normalizeRRule, nextOccurrence, describeRRule };
@@ -0,0 +1,93 @@
+// Task context memory: the user's open reminders are given to the analyzer so
+// a memo can refer to them ("move the dentist to Friday", "I already called
+// the bank"), and the actions it proposes are turned into changes for the
+// client to confirm. Nothing is changed until the user applies an action
+// through the normal complete, reschedule and edit endpoints.
+//
+// Reminders are listed to the model as R1, R2, ... rather than by ID: shorter,
+// and an action can only ever point at a reminder we listed.
+
+const { parseDatePhrase } = require('./date-parser');
+const { formatInTimeZone } = require('./timezone');
+const { describeRRule } = require('./recurrence');
+
+const MAX_CONTEXT_REMINDERS = 20;
+
+// Reminder rows -> [{ ref, id, subject, tasks, when, recurrence, reminder }]
+const buildReminderContext = (reminders, timeZone) => reminders
+  .slice(0, MAX_CONTEXT_REMINDERS)
+  .map((reminder, index) => ({
+    ref: `R${index + 1}`,
+    id: reminder.id,
+    subject: reminder.email_subject || reminder.tasks?.[0]?.description || 'Reminder',
+    tasks: (reminder.tasks || []).filter(task => !task.completed).map(task => task.description),
+    when: formatInTimeZone(reminder.scheduled_for, timeZone),
+    recurrence: reminder.recurrence_rule ? describeRRule(reminder.recurrence_rule) : null,
+    reminder
+  }));
+
+// Check the analyzer's actions against the context and fill in what the
+// client needs to apply them:
+//   complete    { type, reminderId, reason, reminder }
+//   reschedule  ... plus newDate and scheduledFor (the parsed date, or
+//               `fallbackTime` when the memo gave none)
+//   update      ... plus addTasks, emailSubject and tasks (the reminder's
+//               tasks with the new ones added, ready for PATCH)
+// Actions for unknown reminders, repeats and ones that change nothing are
+// dropped and explained in `warnings`.
+const resolveActions = (actions = [], context, { timeZone, now = new Date(), fallbackTime = null } = {}) => {
+  const byRef = new Map(context.map(entry => [entry.ref, entry]));
+  const resolved = [];
+  const warnings = [];
+  const seen = new Set();
+
+  for (const action of actions) {
+    const entry = byRef.get(String(action.reminderRef).trim().toUpperCase());
+    if (!entry) {
+      warnings.push(`Ignored ${action.type} for unknown reminder ${action.reminderRef}`);
+      continue;
+    }
+    if (seen.has(`${action.type}:${entry.id}`)) continue;
+    seen.add(`${action.type}:${entry.id}`);
+
+    const base = {
+      type: action.type,
+      reminderId: entry.id,
+      reason: action.reason,
+      reminder: { id: entry.id, emailSubject: entry.subject, scheduledFor: entry.reminder.scheduled_for }
+    };
+
+    if (action.type === 'complete') {
+      resolved.push(base);
+    } else if (action.type === 'reschedule') {
+      const parsed = action.newDate ? parseDatePhrase(action.newDate, { now, timeZone }) : null;
+      if (action.newDate && !parsed) warnings.push(`Could not read "${action.newDate}", using the memo's send time`);
+      const scheduledFor = parsed ? parsed.date : fallbackTime;
+      if (!scheduledFor || scheduledFor <= now) {
+        warnings.push(`Ignored reschedule of ${action.reminderRef} to a time in the past`);
+        continue;
+      }
+      resolved.push({ ...base, newDate: action.newDate || null, scheduledFor: scheduledFor.toISOString() });
+    } else if (action.type === 'update') {
+      const addTasks = (action.addTasks || []).map(description => description.trim()).filter(Boolean);
+      const emailSubject = action.emailSubject?.trim() || null;
+      if (!addTasks.length && !emailSubject) {
+        warnings.push(`Ignored update of ${action.reminderRef} that changes nothing`);
+        continue;
+      }
+      resolved.push({
+        ...base,
+        addTasks,
+        emailSubject,
+        tasks: [
+          ...(entry.reminder.tasks || []),
+          ...addTasks.map(description => ({ description, suggestedDate: null, priority: 'normal', category: 'other' }))
+        ]
+      });
+    }
+  }
+
+  return { actions: resolved, warnings };
+};
+
+module.exports = { MAX_CONTEXT_REMINDERS, buildReminderContext, resolveActions };
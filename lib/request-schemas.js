@@ -0,0 +1,148 @@
+// What each API route accepts, as JSON Schema (checked by lib/json-schema.js).
+// validateRequest turns a mismatch into a 400 before the route runs, so
+// handlers can rely on the types and sizes here. Checks that need more than
+// a schema (dates, RRULEs, follow-up policies) stay in the routes.
+
+const { checkSchema } = require('./json-schema');
+const { removeFiles } = require('./audio');
+const { SNOOZE_OPTIONS } = require('./snooze');
+const { DIGEST_FREQUENCIES } = require('./digest');
+
+// Longest transcript we'll analyze or store. Analysis is paid per token, and a
+// 30-minute recording comes to roughly 25,000 characters.
+const MAX_TRANSCRIPT_LENGTH = parseInt(process.env.TRANSCRIPT_MAX_CHARS, 10) || 30000;
+
+const MAX_TASKS = 50;
+const MAX_EMAIL_LENGTH = 320;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 10000;
+
+const UUID_PATTERN = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$';
+const TASK_INDEX_PATTERN = '^\\d{1,3}$';
+const PHONE_PATTERN = '^\\+[1-9]\\d{7,14}$';
+const PHONE_CODE_PATTERN = '^\\d{6}$';
+
+// Readable names for patterns in error messages
+const PATTERN_FORMATS = {
+  [UUID_PATTERN]: 'a UUID',
+  [EMAIL_PATTERN]: 'an email address',
+  [TASK_INDEX_PATTERN]: 'a task number',
+  [PHONE_PATTERN]: 'an E.164 phone number such as +14155550123',
+  [PHONE_CODE_PATTERN]: 'a 6-digit code'
+};
+
+const email = { type: 'string', maxLength: MAX_EMAIL_LENGTH, pattern: EMAIL_PATTERN };
+const timeZone = { type: ['string', 'null'], maxLength: 100 };
+const transcript = { type: 'string', maxLength: MAX_TRANSCRIPT_LENGTH };
+const actionToken = { type: 'string', maxLength: 1000 };
+
+// Tasks as the client sends them back: an analysis's tasks, perhaps edited
+const tasks = {
+  type: 'array',
+  maxItems: MAX_TASKS,
+  items: {
+    type: 'object',
+    required: ['description'],
+    properties: {
+      description: { type: 'string', minLength: 1, maxLength: 500 },
+      suggestedDate: { type: ['string', 'null'], maxLength: 100 },
+      priority: { type: ['string', 'null'], maxLength: 20 },
+      category: { type: ['string', 'null'], maxLength: 20 },
+      completed: { type: 'boolean' }
+    }
+  }
+};
+
+const object = (properties, required = []) => ({ type: 'object', required, properties });
+
+const REQUEST_SCHEMAS = {
+  reminderParams: object({ id: { type: 'string', pattern: UUID_PATTERN } }, ['id']),
+  taskParams: object({
+    id: { type: 'string', pattern: UUID_PATTERN },
+    index: { type: 'string', pattern: TASK_INDEX_PATTERN }
+  }, ['id', 'index']),
+
+  magicLink: object({ email: { type: 'string', maxLength: MAX_EMAIL_LENGTH } }, ['email']),
+  verify: object({ token: { type: 'string', minLength: 1, maxLength: 200 } }, ['token']),
+  phoneCode: object({ phoneNumber: { type: 'string', pattern: PHONE_PATTERN } }, ['phoneNumber']),
+  phoneVerify: object({ code: { type: 'string', pattern: PHONE_CODE_PATTERN } }, ['code']),
+  // Settings only, so a typo'd field is an error rather than silently ignored
+  profileUpdate: {
+    ...object({
+      timezone: { type: 'string', maxLength: 100 },
+      digestFrequency: { type: 'string', enum: DIGEST_FREQUENCIES },
+      digestHour: { type: 'integer', minimum: 0, maximum: 23 },
+      digestWeekday: { type: 'integer', minimum: 0, maximum: 6 },
+      followUpPolicy: { type: ['object', 'null'] }
+    }),
+    additionalProperties: false
+  },
+
+  // Multipart fields sent alongside an 'audio' upload
+  upload: object({
+    language: { type: 'string', maxLength: 10 },
+    timeZone
+  }),
+  analyzeMemo: object({ transcript: { ...transcript, minLength: 1 }, timeZone }, ['transcript']),
+  sendEmail: object({
+    to: email,
+    subject: { type: 'string', maxLength: MAX_SUBJECT_LENGTH },
+    emailBody: { type: 'string', minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+    tasks
+  }, ['emailBody']),
+
+  createReminder: object({
+    email: { type: ['string', 'null'], maxLength: MAX_EMAIL_LENGTH },
+    phoneNumber: { type: ['string', 'null'], maxLength: 20 },
+    transcript: { ...transcript, type: ['string', 'null'] },
+    tasks,
+    emailDraft: { type: ['string', 'null'], maxLength: MAX_MESSAGE_LENGTH },
+    emailSubject: { type: ['string', 'null'], maxLength: MAX_SUBJECT_LENGTH },
+    scheduledFor: { type: 'string', minLength: 1, maxLength: 40 },
+    notificationMethods: { type: 'array', maxItems: 3, items: { type: 'string', maxLength: 10 } },
+    recurrence: { type: ['string', 'null'], maxLength: 500 },
+    followUpPolicy: { type: ['object', 'null'] },
+    timeZone
+  }, ['tasks', 'scheduledFor']),
+  editReminder: object({
+    transcript,
+    tasks,
+    emailSubject: { type: 'string', maxLength: MAX_SUBJECT_LENGTH },
+    emailDraft: { type: 'string', maxLength: MAX_MESSAGE_LENGTH },
+    recurrence: { type: ['string', 'null'], maxLength: 500 },
+    followUpPolicy: { type: ['object', 'null'] }
+  }),
+  updateTask: object({ completed: { type: 'boolean' } }),
+
+  // Reminder actions take a session or an action token, in the body or the query
+  reminderAction: object({ actionToken }),
+  actionPreview: object({ action: { type: 'string', enum: ['complete', 'reschedule', 'snooze'] }, actionToken }, ['action']),
+  reschedule: object({ scheduledFor: { type: 'string', minLength: 1, maxLength: 40 }, actionToken }, ['scheduledFor']),
+  snooze: object({ option: { type: 'string', enum: SNOOZE_OPTIONS.map(entry => entry.option) }, actionToken }, ['option']),
+
+  pushSubscribe: object({ subscription: { type: 'object' } }, ['subscription']),
+  pushUnsubscribe: object({ endpoint: { type: 'string', minLength: 1, maxLength: 2000 } }, ['endpoint'])
+};
+
+// Middleware checking req.params, req.query and req.body against the given
+// schemas. A rejected request's upload is removed, as the route won't see it.
+const validateRequest = (schemas) => async (req, res, next) => {
+  const fields = [];
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    const errors = checkSchema(schemas[part], req[part] ?? {}, { formats: PATTERN_FORMATS });
+    fields.push(...errors.map(error => ({ ...error, field: error.field || part })));
+  }
+  if (!fields.length) return next();
+
+  if (req.file) await removeFiles([req.file.path]);
+  res.status(400).json({
+    success: false,
+    code: 'invalid_request',
+    error: fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+    fields
+  });
+};
+
+module.exports = { MAX_TRANSCRIPT_LENGTH, REQUEST_SCHEMAS, validateRequest };
@@ -0,0 +1,68 @@
+// One-click snooze options offered in reminder and follow-up emails. The new
+// time is worked out when the link is used, in the reminder's timezone, so
+// "this evening" means the evening of the day the user clicks.
+
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local hours used by the options below
+const EVENING_HOUR = 18;
+const MORNING_HOUR = 9;
+
+// Offered in this order
+const SNOOZE_OPTIONS = [
+  { option: '1h', label: '1 hour' },
+  { option: 'evening', label: 'This evening' },
+  { option: 'tomorrow', label: 'Tomorrow morning' },
+  { option: 'monday', label: 'Next Monday' }
+];
+
+// Snoozes kept on a reminder's history; older entries are dropped
+const MAX_SNOOZE_HISTORY = 50;
+
+const isSnoozeOption = (option) => SNOOZE_OPTIONS.some(entry => entry.option === option);
+
+const snoozeLabel = (option) => SNOOZE_OPTIONS.find(entry => entry.option === option)?.label || option;
+
+// `hour` o'clock local time, `offset` days from the day containing `now`
+const localTime = (now, timeZone, offset, hour) => {
+  const parts = getZonedParts(now, timeZone);
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+  return zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour }, timeZone);
+};
+
+// When a reminder snoozed with `option` at `now` should come back, or null
+// for an unknown option. "This evening" clicked once it's already evening
+// means tomorrow evening, and "next Monday" on a Monday means a week later.
+const snoozeUntil = (option, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) => {
+  switch (option) {
+    case '1h':
+      return new Date(now.getTime() + HOUR_MS);
+    case 'evening': {
+      const local = getZonedParts(now, timeZone);
+      return localTime(now, timeZone, local.hour >= EVENING_HOUR - 1 ? 1 : 0, EVENING_HOUR);
+    }
+    case 'tomorrow':
+      return localTime(now, timeZone, 1, MORNING_HOUR);
+    case 'monday': {
+      const local = getZonedParts(now, timeZone);
+      return localTime(now, timeZone, ((1 - local.weekday + 7) % 7) || 7, MORNING_HOUR);
+    }
+    default:
+      return null;
+  }
+};
+
+// Every option with the time it would snooze to right now
+const describeSnoozeOptions = ({ now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) => SNOOZE_OPTIONS
+  .map(({ option, label }) => ({ option, label, until: snoozeUntil(option, { now, timeZone }) }));
+
+module.exports = {
+  SNOOZE_OPTIONS,
+  MAX_SNOOZE_HISTORY,
+  isSnoozeOption,
+  snoozeLabel,
+  snoozeUntil,
+  describeSnoozeOptions
+};
@@ -0,0 +1,11 @@
+// Thrown by create() when a row would break a unique key, e.g. two copies of
+// the same offline save racing with one Idempotency-Key
+class StorageConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConflictError';
+    this.code = 'conflict';
+  }
+}
+
+module.exports = { StorageConflictError };
@@ -0,0 +1,58 @@
+// Schema changes for the JSON file store, applied in order when the file is
+// opened, the way migrations/*.sql are applied to Supabase. Each one changes
+// the data in place; the file records the last version applied, so add new
+// migrations to the end and never edit one that has shipped.
+
+const FILE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial',
+    up: (data) => {
+      data.tables = {
+        users: [],
+        login_tokens: [],
+        sessions: [],
+        reminders: [],
+        push_subscriptions: []
+      };
+    }
+  },
+  {
+    version: 2,
+    name: 'usage_counters',
+    up: (data) => {
+      data.tables.usage_counters = [];
+    }
+  },
+  {
+    version: 3,
+    name: 'verified_phones',
+    up: (data) => {
+      for (const user of data.tables.users) {
+        Object.assign(user, {
+          phone_number: null,
+          phone_verified_at: null,
+          pending_phone_number: null,
+          phone_code_hash: null,
+          phone_code_expires_at: null,
+          phone_code_attempts: 0,
+          ...user
+        });
+      }
+    }
+  }
+];
+
+// Bring `data` up to the latest version. Returns the versions applied.
+const migrate = (data) => {
+  const applied = [];
+  for (const migration of FILE_MIGRATIONS) {
+    if ((data.version || 0) >= migration.version) continue;
+    migration.up(data);
+    data.version = migration.version;
+    applied.push(migration.version);
+  }
+  return applied;
+};
+
+module.exports = { FILE_MIGRATIONS, migrate };
@@ -0,0 +1,338 @@
+// Local storage in a single JSON file, so TaskWhisper (scheduler and
+// follow-ups included) runs on one machine without Supabase. With no file
+// path it keeps everything in memory, which suits integration tests.
+//
+// The data is held in memory and written back after every change: to a temp
+// file that's then renamed over the old one, so a crash mid-write leaves the
+// previous version intact. Changes are made synchronously before the write,
+// which is what makes claims atomic here; it also means only one process
+// may use a file at a time.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { migrate } = require('./file-migrations');
+const { StorageConflictError } = require('./errors');
+const { logger } = require('../logger');
+
+// What a new row gets for columns it doesn't set, as the SQL migrations'
+// defaults do. created_at is added to every row.
+const COLUMN_DEFAULTS = {
+  users: () => ({
+    id: crypto.randomUUID(),
+    timezone: null,
+    digest_frequency: 'off',
+    digest_hour: 8,
+    digest_weekday: 1,
+    last_digest_sent_at: null,
+    followup_policy: null,
+    calendar_token_hash: null,
+    phone_number: null,
+    phone_verified_at: null,
+    pending_phone_number: null,
+    phone_code_hash: null,
+    phone_code_expires_at: null,
+    phone_code_attempts: 0
+  }),
+  login_tokens: () => ({ used_at: null }),
+  sessions: () => ({}),
+  reminders: () => ({
+    id: crypto.randomUUID(),
+    user_id: null,
+    email: null,
+    phone_number: null,
+    transcript: null,
+    tasks: [],
+    email_draft: null,
+    email_subject: null,
+    scheduled_for: null,
+    notification_methods: ['email'],
+    delivery_status: {},
+    sent: false,
+    completed: false,
+    last_followup_sent: null,
+    followup_count: 0,
+    locked_by: null,
+    locked_until: null,
+    deleted_at: null,
+    cancelled_at: null,
+    recurrence_rule: null,
+    recurrence_start: null,
+    series_id: null,
+    occurrence_index: 0,
+    timezone: null,
+    followup_policy: null,
+    next_followup_at: null,
+    archived_at: null,
+    snooze_history: [],
+    idempotency_key: null
+  }),
+  push_subscriptions: () => ({ id: crypto.randomUUID(), user_agent: null, last_used_at: null }),
+  usage_counters: () => ({ count: 0 })
+};
+
+// Unique keys per table. As in Postgres, a key with an empty column never clashes.
+const UNIQUE_KEYS = {
+  users: [['id'], ['email'], ['calendar_token_hash']],
+  login_tokens: [['token_hash']],
+  sessions: [['token_hash']],
+  reminders: [['id'], ['user_id', 'idempotency_key'], ['series_id', 'occurrence_index']],
+  push_subscriptions: [['id'], ['endpoint']],
+  usage_counters: [['user_id', 'day', 'metric']]
+};
+
+// Stored as UTC ISO strings so they compare and round-trip like timestamptz
+const TIMESTAMP_COLUMNS = new Set([
+  'created_at', 'expires_at', 'used_at', 'scheduled_for', 'last_followup_sent', 'locked_until',
+  'deleted_at', 'cancelled_at', 'recurrence_start', 'next_followup_at', 'archived_at',
+  'last_digest_sent_at', 'last_used_at'
+]);
+
+const time = (value) => (value == null ? null : new Date(value).getTime());
+
+const normalizeRow = (row) => {
+  for (const column of Object.keys(row)) {
+    if (TIMESTAMP_COLUMNS.has(column) && row[column] != null && !isNaN(time(row[column]))) {
+      row[column] = new Date(row[column]).toISOString();
+    }
+  }
+  return row;
+};
+
+// Equality conditions, with null meaning the column is empty
+const matches = (row, where = {}) => Object.entries(where)
+  .every(([column, value]) => (value === null ? row[column] == null : row[column] === value));
+
+const byScheduledFor = (a, b) => time(a.scheduled_for) - time(b.scheduled_for);
+
+const isActive = (reminder) => reminder.deleted_at == null && reminder.cancelled_at == null && reminder.archived_at == null;
+
+const clone = (value) => (value == null ? null : structuredClone(value));
+
+const createFileStorage = ({ filePath = null } = {}) => {
+  const data = filePath && fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : { version: 0 };
+
+  const applied = migrate(data);
+  if (filePath && applied.length) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    logger.info('Storage file migrated', { version: data.version, filePath });
+  }
+
+  // Writes go out one at a time, each with the data as it was when queued
+  let writes = Promise.resolve();
+  const save = () => {
+    if (!filePath) return Promise.resolve();
+    const snapshot = JSON.stringify(data);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    writes = writes
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(tempPath, snapshot))
+      .then(() => fs.promises.rename(tempPath, filePath));
+    return writes;
+  };
+
+  const table = (name) => data.tables[name];
+  const rows = (name, predicate) => table(name).filter(predicate);
+
+  const checkUnique = (name, row, current = null) => {
+    for (const key of UNIQUE_KEYS[name]) {
+      if (key.some(column => row[column] == null)) continue;
+      const clash = table(name).find(other => other !== current && key.every(column => other[column] === row[column]));
+      if (clash) throw new StorageConflictError(`${name} (${key.join(', ')}) already exists`);
+    }
+  };
+
+  const insertRow = (name, values) => {
+    const row = normalizeRow({ ...COLUMN_DEFAULTS[name](), created_at: new Date().toISOString(), ...values });
+    checkUnique(name, row);
+    table(name).push(row);
+    return row;
+  };
+
+  // Apply `changes` to every row matching `predicate`, returning those rows
+  const updateRows = (name, predicate, changes) => rows(name, predicate).map(row => {
+    const updated = normalizeRow({ ...row, ...clone(changes) });
+    checkUnique(name, updated, row);
+    return Object.assign(row, updated);
+  });
+
+  const removeRows = (name, predicate) => {
+    const before = table(name).length;
+    data.tables[name] = table(name).filter(row => !predicate(row));
+    return before - table(name).length;
+  };
+
+  // Update the first row matching `predicate` and return it, or null
+  const updateOne = async (name, predicate, changes) => {
+    const [row] = updateRows(name, predicate, changes);
+    if (!row) return null;
+    await save();
+    return clone(row);
+  };
+
+  const withUser = (reminder) => ({ ...reminder, user: table('users').find(user => user.id === reminder.user_id) || null });
+
+  const reminders = {
+    find: async (where) => clone(table('reminders').find(row => matches(row, where)) || null),
+
+    listForUser: async (userId) => clone(rows('reminders', reminder => reminder.user_id === userId && reminder.deleted_at == null)
+      .sort(byScheduledFor)),
+
+    listOpen: async (userId, { limit }) => clone(rows('reminders', reminder => reminder.user_id === userId
+      && !reminder.completed && isActive(reminder))
+      .sort(byScheduledFor)
+      .slice(0, limit)),
+
+    listForCalendar: async (userId, { completedSince, limit }) => clone(rows('reminders', reminder => reminder.user_id === userId
+      && isActive(reminder)
+      && (!reminder.completed || time(reminder.scheduled_for) >= completedSince.getTime()))
+      .sort((a, b) => byScheduledFor(b, a))
+      .slice(0, limit)),
+
+    listForDigest: async (userId, { until }) => clone(rows('reminders', reminder => reminder.user_id === userId
+      && !reminder.completed && isActive(reminder)
+      && time(reminder.scheduled_for) <= until.getTime())
+      .sort(byScheduledFor)),
+
+    listDue: async (now) => clone(rows('reminders', reminder => !reminder.sent
+      && reminder.deleted_at == null && reminder.cancelled_at == null
+      && time(reminder.scheduled_for) <= now.getTime())
+      .map(withUser)),
+
+    listFollowUpsDue: async (now) => clone(rows('reminders', reminder => reminder.sent && !reminder.completed
+      && isActive(reminder)
+      && reminder.next_followup_at != null && time(reminder.next_followup_at) <= now.getTime())
+      .map(withUser)),
+
+    create: async (row) => {
+      const created = insertRow('reminders', row);
+      await save();
+      return clone(created);
+    },
+
+    createOccurrence: async (row) => {
+      let created;
+      try {
+        created = insertRow('reminders', row);
+      } catch (error) {
+        if (error instanceof StorageConflictError) return null;
+        throw error;
+      }
+      await save();
+      return clone(created);
+    },
+
+    update: (where, changes) => updateOne('reminders', row => matches(row, where), changes),
+
+    claim: (where, { lockedBy, lockedUntil, now }) => updateOne('reminders',
+      row => matches(row, where) && (row.locked_until == null || time(row.locked_until) < now.getTime()),
+      { locked_by: lockedBy, locked_until: lockedUntil.toISOString() })
+  };
+
+  const users = {
+    find: async (where) => clone(table('users').find(row => matches(row, where)) || null),
+
+    upsertByEmail: async (email) => {
+      const existing = table('users').find(user => user.email === email);
+      if (existing) return clone(existing);
+      const created = insertRow('users', { email });
+      await save();
+      return clone(created);
+    },
+
+    update: (where, changes) => updateOne('users', row => matches(row, where), changes),
+
+    listDigestSubscribers: async () => clone(rows('users', user => user.digest_frequency !== 'off'))
+  };
+
+  const sessions = {
+    create: async (row) => {
+      insertRow('sessions', row);
+      await save();
+    },
+
+    findActive: async (tokenHash, now) => {
+      const session = table('sessions').find(row => row.token_hash === tokenHash && time(row.expires_at) > now.getTime());
+      if (!session) return null;
+      return clone({
+        token_hash: session.token_hash,
+        expires_at: session.expires_at,
+        user: table('users').find(user => user.id === session.user_id) || null
+      });
+    },
+
+    remove: async (tokenHash) => {
+      if (removeRows('sessions', row => row.token_hash === tokenHash)) await save();
+    }
+  };
+
+  const loginTokens = {
+    create: async (row) => {
+      insertRow('login_tokens', row);
+      await save();
+    },
+
+    consume: (tokenHash, now) => updateOne('login_tokens',
+      row => row.token_hash === tokenHash && row.used_at == null && time(row.expires_at) > now.getTime(),
+      { used_at: now.toISOString() })
+  };
+
+  const pushSubscriptions = {
+    listForUser: async (userId) => clone(rows('push_subscriptions', row => row.user_id === userId)),
+
+    save: async (row) => {
+      const existing = table('push_subscriptions').find(other => other.endpoint === row.endpoint);
+      if (existing) {
+        updateRows('push_subscriptions', other => other === existing, row);
+      } else {
+        insertRow('push_subscriptions', row);
+      }
+      await save();
+    },
+
+    remove: async (where) => {
+      if (removeRows('push_subscriptions', row => matches(row, where))) await save();
+    },
+
+    removeByIds: async (ids) => {
+      if (removeRows('push_subscriptions', row => ids.includes(row.id))) await save();
+    },
+
+    touch: async (ids, at) => {
+      updateRows('push_subscriptions', row => ids.includes(row.id), { last_used_at: at.toISOString() });
+      await save();
+    }
+  };
+
+  const usageCounters = {
+    increment: async (where, amount = 1) => {
+      const counter = table('usage_counters').find(row => matches(row, where)) || insertRow('usage_counters', where);
+      counter.count += amount;
+      await save();
+      return counter.count;
+    }
+  };
+
+  // The file can still be written (its directory, as writes rename into it)
+  const ping = async () => {
+    if (filePath) await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+  };
+
+  return {
+    name: filePath ? 'file' : 'memory',
+    local: true,
+    filePath,
+    ping,
+    reminders,
+    users,
+    sessions,
+    loginTokens,
+    pushSubscriptions,
+    usageCounters
+  };
+};
+
+module.exports = { createFileStorage };
@@ -0,0 +1,68 @@
+// Storage for users, sign-in tokens, sessions, reminders, push subscriptions
+// and usage counts. Routes and the scheduler go through this rather than a
+// database client, so the same code runs on Supabase or on a local file.
+// Every storage has the same shape:
+//
+//   { name, local, ping(),
+//     reminders: { find(where), listForUser(userId), listOpen(userId, { limit }),
+//                  listForCalendar(userId, { completedSince, limit }), listForDigest(userId, { until }),
+//                  listDue(now), listFollowUpsDue(now), create(row), createOccurrence(row),
+//                  update(where, changes), claim(where, { lockedBy, lockedUntil, now }) },
+//     users: { find(where), upsertByEmail(email), update(where, changes), listDigestSubscribers() },
+//     sessions: { create(row), findActive(tokenHash, now), remove(tokenHash) },
+//     loginTokens: { create(row), consume(tokenHash, now) },
+//     pushSubscriptions: { listForUser(userId), save(row), remove(where), removeByIds(ids), touch(ids, at) },
+//     usageCounters: { increment({ user_id, day, metric }, amount) } }
+//
+// Rows use the column names in migrations/*.sql. `where` maps columns to the
+// values a row must have, null meaning empty. find() and update() return the
+// matching row, or null when there isn't one; listForCalendar() returns the
+// latest `limit` by scheduled_for, newest first, so a long history can't push
+// out upcoming reminders; listDue() and listFollowUpsDue() attach each
+// reminder's owner as `user`, and usageCounters.increment() returns the new
+// count. ping() checks the storage can be reached, for the deep health check.
+// Everything is async and throws on failure, and create() throws
+// StorageConflictError when a unique key is already taken.
+//
+// STORAGE_PROVIDER picks 'supabase', 'file' or 'memory'; left unset it is
+// Supabase when SUPABASE_URL and SUPABASE_KEY are set and the file otherwise.
+// STORAGE_FILE sets the file's path (default .data/taskwhisper.json; a dot
+// directory, so the static file server never hands it out).
+
+const path = require('path');
+const { createSupabaseStorage } = require('./supabase');
+const { createFileStorage } = require('./file');
+const { StorageConflictError } = require('./errors');
+const { logger } = require('../logger');
+
+const PROVIDERS = ['supabase', 'file', 'memory'];
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '.data', 'taskwhisper.json');
+
+const hasSupabase = (env) => !!(env.SUPABASE_URL && env.SUPABASE_KEY);
+
+// Build the configured storage. Supabase without credentials falls back to
+// the local file with a warning, so the app still starts.
+const createStorage = ({ env = process.env } = {}) => {
+  let provider = (env.STORAGE_PROVIDER || (hasSupabase(env) ? 'supabase' : 'file')).toLowerCase();
+
+  if (!PROVIDERS.includes(provider)) {
+    logger.warn('Unknown STORAGE_PROVIDER, using file storage', { provider });
+    provider = 'file';
+  }
+  if (provider === 'supabase' && !hasSupabase(env)) {
+    logger.warn('SUPABASE_URL/SUPABASE_KEY not set, using file storage', { provider });
+    provider = 'file';
+  }
+
+  switch (provider) {
+    case 'supabase':
+      return createSupabaseStorage({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    case 'memory':
+      return createFileStorage();
+    default:
+      return createFileStorage({ filePath: path.resolve(env.STORAGE_FILE || DEFAULT_FILE) });
+  }
+};
+
+module.exports = { PROVIDERS, createStorage, StorageConflictError };
@@ -0,0 +1,190 @@
+// Supabase storage: the Postgres tables set up by migrations/*.sql, through
+// the PostgREST query builder. Conditional updates (claims, consuming a
+// sign-in token) run as a single UPDATE, so they're safe with several
+// instances sharing the database.
+
+const { createClient } = require('@supabase/supabase-js');
+const { StorageConflictError } = require('./errors');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Equality conditions, with null meaning IS NULL
+const applyWhere = (query, where = {}) => Object.entries(where).reduce(
+  (filtered, [column, value]) => (value === null ? filtered.is(column, null) : filtered.eq(column, value)),
+  query
+);
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const createSupabaseStorage = ({ url, key }) => {
+  const client = createClient(url, key);
+
+  // Reminders still in play: not deleted, cancelled or archived
+  const activeReminders = (columns = '*') => client
+    .from('reminders')
+    .select(columns)
+    .is('deleted_at', null)
+    .is('cancelled_at', null)
+    .is('archived_at', null);
+
+  const reminders = {
+    find: async (where) => unwrap(await applyWhere(client.from('reminders').select('*'), where).maybeSingle()),
+
+    listForUser: async (userId) => unwrap(await client
+      .from('reminders')
+      .select('*')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('scheduled_for', { ascending: true })),
+
+    listOpen: async (userId, { limit }) => unwrap(await activeReminders()
+      .eq('user_id', userId)
+      .eq('completed', false)
+      .order('scheduled_for', { ascending: true })
+      .limit(limit)),
+
+    listForCalendar: async (userId, { completedSince, limit }) => unwrap(await activeReminders()
+      .eq('user_id', userId)
+      .or(`completed.eq.false,scheduled_for.gte.${completedSince.toISOString()}`)
+      .order('scheduled_for', { ascending: false })
+      .limit(limit)),
+
+    listForDigest: async (userId, { until }) => unwrap(await activeReminders()
+      .eq('user_id', userId)
+      .eq('completed', false)
+      .lte('scheduled_for', until.toISOString())
+      .order('scheduled_for', { ascending: true })),
+
+    listDue: async (now) => unwrap(await client
+      .from('reminders')
+      .select('*, user:users(*)')
+      .eq('sent', false)
+      .is('deleted_at', null)
+      .is('cancelled_at', null)
+      .lte('scheduled_for', now.toISOString())),
+
+    listFollowUpsDue: async (now) => unwrap(await activeReminders('*, user:users(*)')
+      .eq('sent', true)
+      .eq('completed', false)
+      .lte('next_followup_at', now.toISOString())),
+
+    create: async (row) => {
+      const { data, error } = await client.from('reminders').insert(row).select().single();
+      if (error?.code === UNIQUE_VIOLATION) throw new StorageConflictError(error.message);
+      if (error) throw error;
+      return data;
+    },
+
+    // The unique (series_id, occurrence_index) key makes this a no-op
+    // (returning null) when the occurrence already exists
+    createOccurrence: async (row) => {
+      const data = unwrap(await client
+        .from('reminders')
+        .upsert(row, { onConflict: 'series_id,occurrence_index', ignoreDuplicates: true })
+        .select());
+      return data?.[0] || null;
+    },
+
+    update: async (where, changes) => unwrap(await applyWhere(client.from('reminders').update(changes), where)
+      .select()
+      .maybeSingle()),
+
+    // Take the send lease unless another instance holds one that hasn't expired
+    claim: async (where, { lockedBy, lockedUntil, now }) => {
+      const data = unwrap(await applyWhere(client.from('reminders').update({ locked_by: lockedBy, locked_until: lockedUntil.toISOString() }), where)
+        .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+        .select());
+      return data?.[0] || null;
+    }
+  };
+
+  const users = {
+    find: async (where) => unwrap(await applyWhere(client.from('users').select('*'), where).maybeSingle()),
+
+    upsertByEmail: async (email) => unwrap(await client
+      .from('users')
+      .upsert({ email }, { onConflict: 'email' })
+      .select()
+      .single()),
+
+    update: async (where, changes) => unwrap(await applyWhere(client.from('users').update(changes), where)
+      .select()
+      .maybeSingle()),
+
+    listDigestSubscribers: async () => unwrap(await client
+      .from('users')
+      .select('*')
+      .neq('digest_frequency', 'off'))
+  };
+
+  const sessions = {
+    create: async (row) => unwrap(await client.from('sessions').insert(row)),
+
+    findActive: async (tokenHash, now) => unwrap(await client
+      .from('sessions')
+      .select('token_hash, expires_at, user:users(*)')
+      .eq('token_hash', tokenHash)
+      .gt('expires_at', now.toISOString())
+      .maybeSingle()),
+
+    remove: async (tokenHash) => unwrap(await client.from('sessions').delete().eq('token_hash', tokenHash))
+  };
+
+  const loginTokens = {
+    create: async (row) => unwrap(await client.from('login_tokens').insert(row)),
+
+    // Mark an unused, unexpired token used and return it, so it only works once
+    consume: async (tokenHash, now) => unwrap(await client
+      .from('login_tokens')
+      .update({ used_at: now.toISOString() })
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .gt('expires_at', now.toISOString())
+      .select()
+      .maybeSingle())
+  };
+
+  const pushSubscriptions = {
+    listForUser: async (userId) => unwrap(await client
+      .from('push_subscriptions')
+      .select('*')
+      .eq('user_id', userId)),
+
+    save: async (row) => unwrap(await client
+      .from('push_subscriptions')
+      .upsert(row, { onConflict: 'endpoint' })),
+
+    remove: async (where) => unwrap(await applyWhere(client.from('push_subscriptions').delete(), where)),
+
+    removeByIds: async (ids) => unwrap(await client.from('push_subscriptions').delete().in('id', ids)),
+
+    touch: async (ids, at) => unwrap(await client
+      .from('push_subscriptions')
+      .update({ last_used_at: at.toISOString() })
+      .in('id', ids))
+  };
+
+  const usageCounters = {
+    // An upsert adding to the count, in a SQL function (migrations/013) so
+    // it's a single statement
+    increment: async ({ user_id, day, metric }, amount = 1) => unwrap(await client.rpc('increment_usage', {
+      p_user_id: user_id,
+      p_day: day,
+      p_metric: metric,
+      p_amount: amount
+    }))
+  };
+
+  // The smallest query that touches the database
+  const ping = async () => {
+    unwrap(await client.from('users').select('id').limit(1));
+  };
+
+  return { name: 'supabase', local: false, ping, reminders, users, sessions, loginTokens, pushSubscriptions, usageCounters };
+};
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,124 @@
+// IANA timezone helpers built on Intl, so wall-clock times ("tomorrow at 9am")
+// resolve correctly in the user's zone, including across DST transitions.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Fall back to UTC for missing or unknown zones rather than failing a send
+const resolveTimeZone = (...candidates) => candidates.find(isValidTimeZone) || DEFAULT_TIMEZONE;
+
+// Wall-clock fields of an instant in a zone. Months are 1-12; weekday is 0 (Sunday) to 6.
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at an instant (negative west of UTC)
+const getOffsetMs = (date, timeZone) => {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (time - (((time % 1000) + 1000) % 1000));
+};
+
+// The instant at which the zone's clocks show the given wall-clock time.
+// Ambiguous times (clocks falling back) resolve to the first occurrence;
+// times that don't exist (clocks springing forward) move forward by the gap,
+// so 2:30am on a spring-forward night becomes 3:30am.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = getOffsetMs(wall - 24 * HOUR_MS, timeZone);
+  const offsetAfter = getOffsetMs(wall + 24 * HOUR_MS, timeZone);
+
+  const showsWall = (time) => {
+    const parts = getZonedParts(time, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) === wall;
+  };
+
+  const candidates = [wall - offsetBefore, wall - offsetAfter].filter(showsWall);
+  if (candidates.length) return new Date(Math.min(...candidates));
+
+  return new Date(wall - offsetBefore);
+};
+
+// Parse "YYYY-MM-DDTHH:mm[:ss]" (no offset) as wall-clock time in a zone
+const parseLocalDateTime = (value, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  return zonedTimeToUtc({
+    year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second
+  }, timeZone);
+};
+
+// "Monday, Jan 5, 9:00 AM EST" — used wherever a time is shown to the user
+const formatInTimeZone = (date, timeZone, options = {}) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  weekday: 'long',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short',
+  ...options
+}).format(new Date(date));
+
+// "2025-12-05T14:30 (Friday)" — the user's current local time, for prompts
+const describeLocalNow = (timeZone, now = new Date()) => {
+  const parts = getZonedParts(now, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(now);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)} (${weekday})`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  formatInTimeZone,
+  describeLocalNow
+};
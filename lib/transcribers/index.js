@@ -0,0 +1,60 @@
+// Transcribers turn a recording into text for /api/transcribe. Every
+// transcriber has the same shape:
+//
+//   { name, model, maxBytes, mock?, transcribe({ filePath, format, language, prompt })
+//       -> Promise<{ text, language, duration, words: [{ word, start, end, confidence? }], confidence,
+//                    usage: { inputTokens, outputTokens } }>,
+//     probe?() -> Promise }
+//
+// maxBytes is the largest file it takes in one go (null for no limit);
+// bigger recordings are split first. language is a two-letter code or
+// 'auto'. Fields a transcriber can't provide are null (or an empty words list).
+// probe() checks the transcriber is ready to use, for the deep health check.
+//
+// TRANSCRIBER_PROVIDER picks one of 'openai', 'whisper-cpp' or 'mock'; left
+// unset it is OpenAI when OPENAI_API_KEY is set and the mock otherwise.
+
+const fs = require('fs');
+const { createOpenAITranscriber, DEFAULT_MODEL: OPENAI_DEFAULT_MODEL } = require('./openai');
+const { createWhisperCppTranscriber, DEFAULT_BINARY: WHISPER_CPP_DEFAULT_BINARY } = require('./whisper-cpp');
+const { createMockTranscriber } = require('./mock');
+const { logger } = require('../logger');
+
+const PROVIDERS = ['openai', 'whisper-cpp', 'mock'];
+
+const hasOpenAIKey = (env) => !!env.OPENAI_API_KEY && env.OPENAI_API_KEY !== 'your-openai-api-key-here';
+
+// Build the configured transcriber. One that can't run as configured falls
+// back to the mock with a warning rather than failing every request.
+const createTranscriber = ({ openai, env = process.env }) => {
+  let provider = (env.TRANSCRIBER_PROVIDER || (hasOpenAIKey(env) ? 'openai' : 'mock')).toLowerCase();
+
+  if (!PROVIDERS.includes(provider)) {
+    logger.warn('Unknown TRANSCRIBER_PROVIDER, using mock transcriber', { provider });
+    provider = 'mock';
+  }
+  if (provider === 'openai' && !hasOpenAIKey(env)) {
+    logger.warn('OPENAI_API_KEY not set, using mock transcriber', { provider });
+    provider = 'mock';
+  }
+  if (provider === 'whisper-cpp' && !(env.WHISPER_CPP_MODEL && fs.existsSync(env.WHISPER_CPP_MODEL))) {
+    logger.warn('WHISPER_CPP_MODEL not set or not found, using mock transcriber', { provider });
+    provider = 'mock';
+  }
+
+  switch (provider) {
+    case 'openai':
+      return createOpenAITranscriber({ client: openai, model: env.TRANSCRIBER_MODEL || OPENAI_DEFAULT_MODEL });
+    case 'whisper-cpp':
+      return createWhisperCppTranscriber({
+        binary: env.WHISPER_CPP_PATH || WHISPER_CPP_DEFAULT_BINARY,
+        model: env.WHISPER_CPP_MODEL,
+        threads: parseInt(env.WHISPER_CPP_THREADS, 10) || null,
+        timeoutMs: parseInt(env.WHISPER_CPP_TIMEOUT_MS, 10) || undefined
+      });
+    default:
+      return createMockTranscriber();
+  }
+};
+
+module.exports = { PROVIDERS, createTranscriber };
@@ -0,0 +1,22 @@
+// Stand-in for when no transcriber is configured: always the same sentence,
+// flagged as mock so the client can say so.
+
+const MOCK_TRANSCRIPT = 'This is a test transcription. Configure your OpenAI API key to enable real Whisper transcription.';
+
+const createMockTranscriber = () => ({
+  name: 'mock',
+  model: 'fixed-text',
+  maxBytes: null,
+  mock: true,
+
+  transcribe: async () => ({
+    text: MOCK_TRANSCRIPT,
+    language: null,
+    duration: null,
+    words: [],
+    confidence: null,
+    usage: null
+  })
+});
+
+module.exports = { MOCK_TRANSCRIPT, createMockTranscriber };
@@ -0,0 +1,43 @@
+// Whisper through the OpenAI API. Word timestamps come from verbose_json;
+// confidence is the average of the segments' exp(avg_logprob). whisper-1 is
+// billed by the minute, so usage only has tokens for token-billed models.
+
+const fs = require('fs');
+const { WHISPER_MAX_BYTES } = require('../audio');
+
+const DEFAULT_MODEL = 'whisper-1';
+
+const createOpenAITranscriber = ({ client, model = DEFAULT_MODEL }) => ({
+  name: 'openai',
+  model,
+  maxBytes: WHISPER_MAX_BYTES,
+
+  transcribe: async ({ filePath, language, prompt }) => {
+    const transcription = await client.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word', 'segment'],
+      ...(language === 'auto' ? {} : { language }),
+      ...(prompt ? { prompt } : {})
+    });
+
+    const segments = transcription.segments || [];
+    return {
+      text: transcription.text.trim(),
+      language: transcription.language || null,
+      duration: transcription.duration ?? null,
+      words: (transcription.words || []).map(({ word, start, end }) => ({ word, start, end })),
+      confidence: segments.length
+        ? segments.reduce((sum, segment) => sum + Math.exp(segment.avg_logprob), 0) / segments.length
+        : null,
+      usage: transcription.usage?.type === 'tokens'
+        ? { inputTokens: transcription.usage.input_tokens ?? 0, outputTokens: transcription.usage.output_tokens ?? 0 }
+        : null
+    };
+  },
+
+  probe: () => client.models.retrieve(model)
+});
+
+module.exports = { DEFAULT_MODEL, createOpenAITranscriber };
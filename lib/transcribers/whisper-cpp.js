@@ -0,0 +1,108 @@
+// Local transcription with whisper.cpp (https://github.com/ggml-org/whisper.cpp)
+// run as a child process on the CPU, so audio never leaves the machine.
+//
+// WHISPER_CPP_MODEL is the path to a ggml model file (e.g. ggml-base.en.bin);
+// WHISPER_CPP_PATH the binary (whisper-cli by default, `main` in older
+// builds). Recordings are converted to 16 kHz WAV first, which needs ffmpeg
+// unless they already are one. Word timestamps and confidence come from the
+// token-level JSON output.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { toSpeechWav, removeFiles } = require('../audio');
+
+const DEFAULT_BINARY = 'whisper-cli';
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Special tokens such as [_BEG_] and [_TT_150] carry no text
+const isSpecialToken = (text) => /^\s*(\[_|<\|)/.test(text);
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Turn whisper.cpp's --output-json-full into our transcript shape. Tokens
+// are pieces of words; one starting with a space begins a new word.
+const parseWhisperCppOutput = (output) => {
+  const segments = output.transcription || [];
+  const words = [];
+  const probabilities = [];
+
+  for (const segment of segments) {
+    for (const token of segment.tokens || []) {
+      if (isSpecialToken(token.text)) continue;
+      const start = token.offsets.from / 1000;
+      const end = token.offsets.to / 1000;
+      probabilities.push(token.p);
+
+      const current = words[words.length - 1];
+      if (!current || token.text.startsWith(' ') || current.segment !== segment) {
+        words.push({ word: token.text.trim(), start, end, probabilities: [token.p], segment });
+      } else {
+        current.word += token.text;
+        current.end = end;
+        current.probabilities.push(token.p);
+      }
+    }
+  }
+
+  const last = segments[segments.length - 1];
+  return {
+    text: segments.map(segment => segment.text.trim()).filter(Boolean).join(' '),
+    language: output.result?.language || null,
+    duration: last ? last.offsets.to / 1000 : null,
+    words: words
+      .filter(({ word }) => word)
+      .map(({ word, start, end, probabilities: wordProbabilities }) => ({ word, start, end, confidence: average(wordProbabilities) })),
+    confidence: average(probabilities),
+    usage: null
+  };
+};
+
+const createWhisperCppTranscriber = ({
+  binary = DEFAULT_BINARY,
+  model,
+  threads = null,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) => ({
+  name: 'whisper-cpp',
+  model: path.basename(model),
+  maxBytes: null,
+
+  // The model file is there and the binary runs
+  probe: async () => {
+    await fs.promises.access(model, fs.constants.R_OK);
+    await new Promise((resolve, reject) => {
+      execFile(binary, ['--help'], { timeout: 10 * 1000 }, (error) => (error?.code === 'ENOENT' ? reject(error) : resolve()));
+    });
+  },
+
+  transcribe: async ({ filePath, format, language, prompt }) => {
+    const wavPath = await toSpeechWav(filePath, format);
+    const outputPrefix = `${filePath}.whisper`;
+
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(binary, [
+          '-m', model,
+          '-f', wavPath,
+          '-l', language,
+          '-oj', '-ojf',
+          '-of', outputPrefix,
+          '-np',
+          ...(threads ? ['-t', String(threads)] : []),
+          ...(prompt ? ['--prompt', prompt] : [])
+        ], { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+          if (error) reject(new Error(`whisper.cpp failed: ${stderr?.trim() || error.message}`));
+          else resolve();
+        });
+      });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputPrefix}.json`, 'utf8'));
+      return parseWhisperCppOutput(output);
+    } finally {
+      await removeFiles([`${outputPrefix}.json`, wavPath !== filePath ? wavPath : null]);
+    }
+  }
+});
+
+module.exports = { DEFAULT_BINARY, parseWhisperCppOutput, createWhisperCppTranscriber };
@@ -0,0 +1,9 @@
+-- SMS delivery: per-channel delivery tracking for reminders.
+-- phone_number and notification_methods already exist on the table;
+-- delivery_status records the outcome of each channel, e.g.
+--   { "email": { "status": "sent", "id": "...", "at": "..." },
+--     "sms":   { "status": "failed", "error": "...", "at": "..." },
+--     "followup": { "email": {...}, "sms": {...} } }
+
+alter table reminders
+  add column if not exists delivery_status jsonb not null default '{}'::jsonb;
@@ -0,0 +1,11 @@
+-- Reminder scheduler: lease columns used to claim a reminder before sending.
+-- A row is claimed by setting locked_by/locked_until with a conditional
+-- update; a lease past locked_until can be retaken by another instance.
+
+alter table reminders
+  add column if not exists locked_by text,
+  add column if not exists locked_until timestamptz;
+
+create index if not exists reminders_due_idx
+  on reminders (scheduled_for)
+  where sent = false;
@@ -0,0 +1,38 @@
+-- Accounts: magic-link sign-in, sessions and reminder ownership.
+-- login_tokens and sessions store SHA-256 hashes of the tokens, never the tokens.
+
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists login_tokens (
+  token_hash text primary key,
+  email text not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists sessions (
+  token_hash text primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+alter table reminders
+  add column if not exists user_id uuid references users (id) on delete cascade;
+
+create index if not exists reminders_user_id_idx on reminders (user_id);
+
+-- Backfill: one account per address that already has reminders
+insert into users (email)
+select distinct lower(email) from reminders where email is not null
+on conflict (email) do nothing;
+
+update reminders r
+set user_id = u.id
+from users u
+where r.user_id is null and lower(r.email) = u.email;
@@ -0,0 +1,7 @@
+-- Reminder lifecycle: soft delete (with an undo window enforced by the API)
+-- and cancelling a reminder without completing it. Individual task
+-- completion is stored on each element of the tasks jsonb array.
+
+alter table reminders
+  add column if not exists deleted_at timestamptz,
+  add column if not exists cancelled_at timestamptz;
@@ -0,0 +1,24 @@
+-- Recurring reminders. Each occurrence is its own row; rows of one series
+-- share series_id (the first occurrence's id) and count up occurrence_index.
+-- recurrence_rule is a normalized RRULE subset, e.g. FREQ=WEEKLY;BYDAY=MO.
+
+alter table reminders
+  add column if not exists recurrence_rule text,
+  add column if not exists recurrence_start timestamptz,
+  add column if not exists series_id uuid references reminders (id) on delete cascade,
+  add column if not exists occurrence_index integer not null default 0;
+
+-- Postgres has no "add constraint if not exists", so check first to keep the
+-- migration safe to re-run
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint
+    where conname = 'reminders_series_occurrence_key'
+      and conrelid = 'reminders'::regclass
+  ) then
+    alter table reminders
+      add constraint reminders_series_occurrence_key unique (series_id, occurrence_index);
+  end if;
+end
+$$;
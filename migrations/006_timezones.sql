@@ -0,0 +1,9 @@
+-- Per-user and per-reminder IANA timezones (e.g. America/New_York), used to
+-- resolve relative times, keep recurring reminders at the same local time
+-- across DST, and show local times in emails. Unknown zones fall back to UTC.
+
+alter table users
+  add column if not exists timezone text;
+
+alter table reminders
+  add column if not exists timezone text;
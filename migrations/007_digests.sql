@@ -0,0 +1,18 @@
+-- Opt-in digest emails: one email per user summarizing overdue, today's and
+-- upcoming reminders. digest_hour is the local hour (in users.timezone) the
+-- digest goes out; weekly digests go out on digest_weekday (0 = Sunday).
+-- last_digest_sent_at doubles as the claim that stops two instances sending
+-- the same digest.
+
+alter table users
+  add column if not exists digest_frequency text not null default 'off'
+    check (digest_frequency in ('off', 'daily', 'weekly')),
+  add column if not exists digest_hour smallint not null default 8
+    check (digest_hour between 0 and 23),
+  add column if not exists digest_weekday smallint not null default 1
+    check (digest_weekday between 0 and 6),
+  add column if not exists last_digest_sent_at timestamptz;
+
+create index if not exists users_digest_idx
+  on users (digest_frequency)
+  where digest_frequency <> 'off';
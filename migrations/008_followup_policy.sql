@@ -0,0 +1,24 @@
+-- Follow-up policy (see lib/followup-policy.js). Users can set a default
+-- policy and reminders can override it. next_followup_at is when the next
+-- follow-up (or the archive after the last one) is due, so send-due only
+-- loads reminders that need attention. archived_at marks a reminder that was
+-- given up on as not done.
+
+alter table users
+  add column if not exists followup_policy jsonb;
+
+alter table reminders
+  add column if not exists followup_policy jsonb,
+  add column if not exists next_followup_at timestamptz,
+  add column if not exists archived_at timestamptz;
+
+-- Reminders already sent keep the old 24-hour rhythm for their next follow-up
+update reminders
+  set next_followup_at = coalesce(last_followup_sent, scheduled_for) + interval '24 hours'
+  where sent = true
+    and completed = false
+    and next_followup_at is null;
+
+create index if not exists reminders_next_followup_idx
+  on reminders (next_followup_at)
+  where completed = false and archived_at is null and deleted_at is null;
@@ -0,0 +1,6 @@
+-- Snoozes from email links (see lib/snooze.js). Each entry is
+-- { option, label, from, to, at }: the option picked, the scheduled time it
+-- moved from and to, and when it was snoozed. Newest last.
+
+alter table reminders
+  add column if not exists snooze_history jsonb not null default '[]'::jsonb;
@@ -0,0 +1,6 @@
+-- Private iCalendar feed per user (GET /api/calendar/<token>.ics). Like
+-- sessions, only a SHA-256 hash of the token is stored; clearing it turns
+-- the feed off.
+
+alter table users
+  add column if not exists calendar_token_hash text unique;
@@ -0,0 +1,10 @@
+-- Offline clients replay reminder saves (POST /api/reminders with an
+-- Idempotency-Key header). The key is stored with the reminder it created,
+-- so a replay returns that reminder instead of inserting a duplicate.
+
+alter table reminders
+  add column if not exists idempotency_key text;
+
+create unique index if not exists reminders_user_idempotency_key
+  on reminders (user_id, idempotency_key)
+  where idempotency_key is not null;
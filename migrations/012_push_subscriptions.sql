@@ -0,0 +1,17 @@
+-- Web Push subscriptions, one per browser or installed app a user turned
+-- notifications on in. Endpoints are unique to a device, so subscribing
+-- again (or as another user) replaces the row. Rows are removed when the
+-- push service reports the subscription gone.
+
+create table if not exists push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  endpoint text not null unique,
+  p256dh text not null,
+  auth text not null,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+create index if not exists push_subscriptions_user_id_idx on push_subscriptions (user_id);
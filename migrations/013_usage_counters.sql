@@ -0,0 +1,24 @@
+-- Daily per-user counts of paid work (transcriptions, analyses, emails sent
+-- from the app), checked against the quotas in lib/rate-limit.js.
+-- increment_usage adds to a count and returns the new total in one
+-- statement, so concurrent requests on several instances can't both slip
+-- under the limit.
+
+create table if not exists usage_counters (
+  user_id uuid not null references users (id) on delete cascade,
+  day date not null,
+  metric text not null,
+  count integer not null default 0,
+  primary key (user_id, day, metric)
+);
+
+create or replace function increment_usage(p_user_id uuid, p_day date, p_metric text, p_amount integer default 1)
+returns integer
+language sql
+as $$
+  insert into usage_counters (user_id, day, metric, count)
+  values (p_user_id, p_day, p_metric, p_amount)
+  on conflict (user_id, day, metric)
+  do update set count = usage_counters.count + excluded.count
+  returning count;
+$$;
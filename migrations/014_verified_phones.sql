@@ -0,0 +1,11 @@
+-- Phone numbers users have proved they own, by entering a code texted to
+-- them. SMS reminders only go to a user's verified number. The pending
+-- columns hold a code in flight: its hash, expiry and failed attempts.
+
+alter table users
+  add column if not exists phone_number text,
+  add column if not exists phone_verified_at timestamptz,
+  add column if not exists pending_phone_number text,
+  add column if not exists phone_code_hash text,
+  add column if not exists phone_code_expires_at timestamptz,
+  add column if not exists phone_code_attempts integer not null default 0;
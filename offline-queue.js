@@ -0,0 +1,209 @@
+// Offline queue shared by the app (index.html) and the service worker.
+//
+// Recordings that couldn't be uploaded and reminder saves that couldn't be
+// sent are kept in IndexedDB and replayed when the connection is back: by
+// Background Sync in the service worker where the browser supports it, and
+// by the page on load and on the `online` event everywhere else. Reminder
+// saves carry their queue ID as an Idempotency-Key, so a save replayed after
+// it actually went through doesn't create a second reminder.
+//
+// A replayed recording is transcribed and analyzed, then waits in the queue
+// ('ready') for the user to review and schedule it like any other memo.
+
+(function (scope) {
+  const DB_NAME = 'taskwhisper-offline';
+  const DB_VERSION = 1;
+  const SYNC_TAG = 'taskwhisper-queue';
+  const STORES = ['recordings', 'reminders', 'meta'];
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('recordings', { keyPath: 'id' });
+          request.result.createObjectStore('reminders', { keyPath: 'id' });
+          request.result.createObjectStore('meta', { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run one request against a store and resolve with its result
+  const withStore = async (store, mode, action) => {
+    if (!STORES.includes(store)) throw new Error(`Unknown store: ${store}`);
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(store, mode);
+      const request = action(transaction.objectStore(store));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  const getAll = (store) => withStore(store, 'readonly', objects => objects.getAll());
+  const put = (store, value) => withStore(store, 'readwrite', objects => objects.put(value));
+  const remove = (store, id) => withStore(store, 'readwrite', objects => objects.delete(id));
+
+  const update = async (store, id, changes) => {
+    const current = await withStore(store, 'readonly', objects => objects.get(id));
+    if (current) await put(store, { ...current, ...changes });
+  };
+
+  // Where to send queued work and as whom. The service worker can't read
+  // localStorage, so the session token is kept here too; null clears it.
+  const saveSyncConfig = (config) => (config
+    ? put('meta', { key: 'sync', ...config })
+    : remove('meta', 'sync'));
+
+  const getSyncConfig = () => withStore('meta', 'readonly', objects => objects.get('sync'));
+
+  // Queued entries belong to the user who made them and only go out with
+  // that user's session
+  const addRecording = ({ id, userId, blob, timeZone }) => put('recordings', {
+    id,
+    userId,
+    blob,
+    mimeType: blob.type,
+    timeZone,
+    recordedAt: new Date().toISOString(),
+    status: 'queued'
+  });
+
+  const addReminder = ({ id, userId, body }) => put('reminders', {
+    id,
+    userId,
+    body,
+    queuedAt: new Date().toISOString(),
+    status: 'queued'
+  });
+
+  const list = async (userId) => {
+    const [recordings, reminders] = await Promise.all([getAll('recordings'), getAll('reminders')]);
+    const mine = entry => entry.userId === userId;
+    return { recordings: recordings.filter(mine), reminders: reminders.filter(mine) };
+  };
+
+  // Ask the service worker to run the queue once there's a connection. Returns
+  // false where Background Sync isn't supported and the page has to do it.
+  const requestSync = async () => {
+    if (!scope.navigator?.serviceWorker) return false;
+    const registration = await scope.navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  };
+
+  // Errors the same request will hit again, as opposed to being offline or
+  // the server having a bad moment
+  const isPermanent = (status) => status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+
+  const readError = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    return data.error || `Request failed (${response.status})`;
+  };
+
+  const sendReminder = async (entry, { apiUrl, token }) => {
+    const response = await fetch(`${apiUrl}/api/reminders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'Idempotency-Key': entry.id
+      },
+      body: JSON.stringify(entry.body)
+    });
+    if (response.ok) {
+      await remove('reminders', entry.id);
+      return 'sent';
+    }
+    if (isPermanent(response.status)) {
+      await update('reminders', entry.id, { status: 'failed', error: await readError(response) });
+      return 'failed';
+    }
+    throw new Error(await readError(response));
+  };
+
+  const sendRecording = async (entry, { apiUrl, token }) => {
+    const formData = new FormData();
+    formData.append('audio', entry.blob, entry.mimeType.includes('mp4') ? 'recording.m4a' : 'recording.webm');
+    const transcribed = await fetch(`${apiUrl}/api/transcribe`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: formData
+    });
+    if (!transcribed.ok) {
+      if (!isPermanent(transcribed.status)) throw new Error(await readError(transcribed));
+      await update('recordings', entry.id, { status: 'failed', error: await readError(transcribed) });
+      return 'failed';
+    }
+    const { transcript } = await transcribed.json();
+
+    // The transcript is what matters; the user can re-run analysis when
+    // reviewing if it fails here
+    let analysis = null;
+    try {
+      const analyzed = await fetch(`${apiUrl}/api/analyze-memo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ transcript, timeZone: entry.timeZone })
+      });
+      const data = await analyzed.json();
+      if (data.success) analysis = data.analysis;
+    } catch (error) {
+      console.warn('[Offline queue] Analysis failed, saving transcript only:', error.message);
+    }
+
+    // The audio isn't needed once it's transcribed
+    await update('recordings', entry.id, { status: 'ready', blob: null, transcript, analysis });
+    return 'ready';
+  };
+
+  // Send everything queued for the signed-in user. Throws when something is
+  // still waiting on the network, so Background Sync tries again later.
+  let running = null;
+  const processQueue = () => {
+    if (!running) {
+      running = (async () => {
+        const config = await getSyncConfig();
+        if (!config?.token) return { sent: 0, ready: 0, failed: 0 };
+
+        const { recordings, reminders } = await list(config.userId);
+        const counts = { sent: 0, ready: 0, failed: 0 };
+        let retry = null;
+        const pending = [
+          ...reminders.filter(entry => entry.status === 'queued').map(entry => () => sendReminder(entry, config)),
+          ...recordings.filter(entry => entry.status === 'queued').map(entry => () => sendRecording(entry, config))
+        ];
+        for (const send of pending) {
+          try {
+            counts[await send()]++;
+          } catch (error) {
+            retry = error;
+          }
+        }
+        if (retry) throw retry;
+        return counts;
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  scope.TaskWhisperQueue = {
+    SYNC_TAG,
+    saveSyncConfig,
+    addRecording,
+    addReminder,
+    list,
+    update,
+    remove,
+    requestSync,
+    processQueue
+  };
+})(self);
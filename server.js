@@ -6,25 +6,116 @@ const multer = require('multer');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 const { Resend } = require('resend');
-const { createClient } = require('@supabase/supabase-js');
+const twilio = require('twilio');
+const { createAuth, safeEqual, generateToken, hashToken, normalizeEmail } = require('./lib/auth');
+const { hasActionTokenSecret, createActionToken, verifyActionToken, verifyReplyToken } = require('./lib/action-tokens');
+const { normalizeRRule, nextOccurrence, describeRRule } = require('./lib/recurrence');
+const { isValidTimeZone, resolveTimeZone, parseLocalDateTime, formatInTimeZone } = require('./lib/timezone');
+const { parseDatePhrase } = require('./lib/date-parser');
+const { AnalysisValidationError } = require('./lib/analysis-schema');
+const { createAnalyzer } = require('./lib/analyzers');
+const { createTranscriber } = require('./lib/transcribers');
+const { createStorage, StorageConflictError } = require('./lib/storage');
+const { MAX_CONTEXT_REMINDERS, buildReminderContext, resolveActions } = require('./lib/reminder-context');
+const { renderReminderEmail, renderFollowUpEmail, renderDigestEmail, renderReplyConfirmationEmail } = require('./lib/email-templates');
+const { isDigestDue, listedInSentDigest, buildDigestSections } = require('./lib/digest');
+const { normalizeFollowUpPolicy, resolveFollowUpPolicy, isUrgentReminder, nextFollowUpStep } = require('./lib/followup-policy');
+const { SNOOZE_OPTIONS, MAX_SNOOZE_HISTORY, snoozeLabel, snoozeUntil, describeSnoozeOptions } = require('./lib/snooze');
+const { AudioUploadError, detectAudioFileFormat, mimeTypeMatches, probeDuration, splitForWhisper, removeFiles } = require('./lib/audio');
+const { buildReminderAttachment, buildFeed, COMPLETED_VISIBLE_MS } = require('./lib/calendar');
+const { PUSH_SNOOZE_OPTION, PushSubscriptionError, getVapidDetails, parseSubscription, buildReminderNotification, sendToSubscriptions } = require('./lib/push');
+const { MAX_TRANSCRIPT_LENGTH, REQUEST_SCHEMAS, validateRequest } = require('./lib/request-schemas');
+const { createRateLimiter, useDailyQuota, quotaMessage, createDailyQuota } = require('./lib/rate-limit');
+const { getInboundDomain, replyAddressFor, parseInboundPayload, findReplyAddress, extractReplyText, interpretReply } = require('./lib/inbound-email');
+const { logger, withLogContext } = require('./lib/logger');
+const { createMetrics, secondsSince } = require('./lib/metrics');
+const { AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Supabase
-const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_KEY
-  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
-  : null;
+// Railway runs one proxy in front of the app, so the client's IP (which rate
+// limits go by) is the last one it adds to X-Forwarded-For. Set
+// TRUST_PROXY_HOPS=0 when nothing sits in front.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || false);
+
+// Users, reminders and the rest: Supabase, or a local file when it isn't set up (see lib/storage)
+const storage = createStorage();
+
+// Which settings are present (not their values)
+logger.info('Environment check', {
+  openaiApiKey: !!process.env.OPENAI_API_KEY,
+  anthropicApiKey: !!process.env.ANTHROPIC_API_KEY,
+  resendApiKey: !!process.env.RESEND_API_KEY,
+  supabase: !!(process.env.SUPABASE_URL && process.env.SUPABASE_KEY),
+  actionTokenSecret: !!process.env.ACTION_TOKEN_SECRET,
+  twilio: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN),
+  vapid: !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+  port: PORT
+});
+if (!hasActionTokenSecret()) {
+  logger.warn('ACTION_TOKEN_SECRET not set: reminders go out without Done, Reschedule and Snooze links, and email replies are off');
+}
+
+// Prometheus metrics, served on /api/metrics (see lib/metrics.js). Routes are
+// labelled by pattern, e.g. /api/reminders/:id/complete.
+const metrics = createMetrics();
+const httpRequests = metrics.counter('taskwhisper_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpErrors = metrics.counter('taskwhisper_http_errors_total', 'HTTP requests answered with a 5xx status', ['method', 'route']);
+const httpDuration = metrics.histogram('taskwhisper_http_request_duration_seconds', 'Time taken to answer HTTP requests', ['method', 'route']);
+const transcriptions = metrics.counter('taskwhisper_transcriptions_total', 'Transcriber calls (one per piece of a split recording) by outcome', ['provider', 'outcome']);
+const transcriptionDuration = metrics.histogram('taskwhisper_transcription_duration_seconds', 'Time taken by transcriber calls', ['provider']);
+const transcribedAudio = metrics.counter('taskwhisper_transcribed_audio_seconds_total', 'Seconds of audio transcribed', ['provider']);
+const transcriptionTokens = metrics.counter('taskwhisper_transcription_tokens_total', 'Tokens used by token-billed transcription models', ['provider', 'model', 'type']);
+const analyses = metrics.counter('taskwhisper_analyses_total', 'Transcript analyses by outcome (invalid: unusable after repair attempts)', ['provider', 'model', 'outcome']);
+const analysisDuration = metrics.histogram('taskwhisper_analysis_duration_seconds', 'Time taken by transcript analyses, repair attempts included', ['provider', 'model']);
+const analysisTokens = metrics.counter('taskwhisper_analysis_tokens_total', 'Tokens used by the analyzer, repair attempts included', ['provider', 'model', 'type']);
+const deliveries = metrics.counter('taskwhisper_deliveries_total', 'Reminder, follow-up, digest and reply emails, texts and pushes by outcome', ['channel', 'status']);
+const sendDueOutcomes = metrics.counter('taskwhisper_send_due_results_total', 'Reminders, follow-ups and digests handled by send-due runs, by outcome', ['status']);
+const sendDueRuns = metrics.counter('taskwhisper_send_due_runs_total', 'send-due runs (cron and built-in scheduler) by outcome', ['outcome']);
+const sendDueDuration = metrics.histogram('taskwhisper_send_due_duration_seconds', 'Time taken by send-due runs');
+metrics.gauge('taskwhisper_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+metrics.gauge('taskwhisper_resident_memory_bytes', 'Resident memory of the process', () => process.memoryUsage().rss);
+
+// Request IDs: taken from X-Request-Id when a proxy or client sent a usable
+// one, otherwise made up. Sent back in the response and stamped on every log
+// line written while handling the request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// The route a request matched, as its pattern rather than the raw path (which
+// can hold IDs and tokens)
+const routeLabel = (req, res) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  if (!req.originalUrl.startsWith('/api/')) return 'static';
+  // Turned away (signed out, rate limited) before reaching a route
+  return res.statusCode === 404 ? 'unmatched' : 'rejected';
+};
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  // One access log line and the HTTP metrics once the response is out
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeLabel(req, res);
+    const seconds = secondsSince(start);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    if (res.statusCode >= 500) httpErrors.inc({ method: req.method, route });
+
+    const fields = { requestId, method: req.method, route, status: res.statusCode, durationMs: Math.round(seconds * 1000), userId: req.user?.id };
+    if (route === 'static') logger.debug('Request', fields);
+    else logger.info('Request', fields);
+  });
 
-// Debug: Log which env vars are present (not their values)
-console.log('🔍 Environment check:');
-console.log('  OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('  ANTHROPIC_API_KEY:', process.env.ANTHROPIC_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('  RESEND_API_KEY:', process.env.RESEND_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('  SUPABASE:', supabase ? '✅ Connected' : '❌ Missing');
-console.log('  PORT:', PORT);
+  withLogContext({ requestId }, next);
+});
 
 app.use(cors({
   origin: [
@@ -34,7 +125,8 @@ app.use(cors({
     'http://localhost:3000',
     'http://localhost:3001'
   ],
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After'],
   credentials: true
 }));
 app.use(express.json());
@@ -42,7 +134,15 @@ app.use(express.json());
 // Serve static files (HTML, CSS, JS, images, etc.)
 app.use(express.static('.'));
 
-const upload = multer({ dest: 'uploads/' });
+// Upload limits for /api/transcribe. The Whisper API takes 25 MB per request;
+// larger recordings are split (see lib/audio.js).
+const MAX_UPLOAD_MB = parseInt(process.env.TRANSCRIBE_MAX_UPLOAD_MB, 10) || 100;
+const MAX_RECORDING_MINUTES = parseInt(process.env.TRANSCRIBE_MAX_DURATION_MINUTES, 10) || 30;
+
+// 'auto' lets the transcriber detect the language; clients may also send one per request
+const DEFAULT_TRANSCRIBE_LANGUAGE = process.env.TRANSCRIBE_LANGUAGE || 'en';
+
+const upload = multer({ dest: 'uploads/', limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 } });
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY || 'not-set'
@@ -52,9 +152,284 @@ const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY || 'not-set'
 });
 
+// Task analysis provider (Anthropic, OpenAI or the offline mock), see lib/analyzers
+const analyzer = createAnalyzer({ anthropic, openai });
+
+// Speech-to-text (Whisper API, local whisper.cpp or the mock), see lib/transcribers
+const transcriber = createTranscriber({ openai });
+
 // Initialize Resend (with fallback to prevent crash)
 const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
+// Initialize Twilio for SMS reminders
+const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
+  ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+  : null;
+
+// Point the Twilio client at a local fake API (e.g. http://localhost:4010) for testing
+if (twilioClient && process.env.TWILIO_API_URL) {
+  twilioClient.api.baseUrl = process.env.TWILIO_API_URL;
+}
+
+// Web Push signing keys (see lib/push.js); push reminders fail without them
+const vapidDetails = getVapidDetails();
+
+const NOTIFICATION_METHODS = ['email', 'sms', 'push'];
+
+// Scheduler settings. Each instance claims reminders under its own ID with a
+// lease, so a crashed instance's claims expire and get picked up again.
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.REMINDER_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const SCHEDULER_LEASE_MS = parseInt(process.env.REMINDER_SCHEDULER_LEASE_MS, 10) || 5 * 60 * 1000;
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+const getBaseUrl = () => process.env.FRONTEND_URL || 'https://taskwhisper.jaypwadhwani.com';
+
+// Done/Reschedule links carry a signed action token so they work without a
+// session. The short forms keep SMS bodies under a single segment where possible.
+const completeUrl = (id) => `${getBaseUrl()}/complete.html?id=${id}&token=${createActionToken('complete', id)}`;
+const rescheduleUrl = (id) => `${getBaseUrl()}/reschedule.html?id=${id}&token=${createActionToken('reschedule', id)}`;
+const shortCompleteUrl = (id) => `${getBaseUrl()}/c/${id}/${createActionToken('complete', id)}`;
+const shortRescheduleUrl = (id) => `${getBaseUrl()}/r/${id}/${createActionToken('reschedule', id)}`;
+
+// Done, Reschedule and Snooze buttons for a reminder's emails. Without
+// ACTION_TOKEN_SECRET they can't be signed, so reminders go out without them.
+const actionButtons = (id, { doneColor } = {}) => (hasActionTokenSecret()
+  ? [
+    { href: completeUrl(id), label: '✅ Done', ...(doneColor && { color: doneColor }) },
+    { href: rescheduleUrl(id), label: '🔄 Reschedule' }
+  ]
+  : []);
+
+// The same for SMS, as lines to append
+const smsActionLines = (id) => (hasActionTokenSecret()
+  ? `\nDone: ${shortCompleteUrl(id)}\nReschedule: ${shortRescheduleUrl(id)}`
+  : '');
+
+// One link per snooze option, all sharing a single snooze token
+const snoozeLinks = (id) => {
+  if (!hasActionTokenSecret()) return [];
+  const token = createActionToken('snooze', id);
+  return SNOOZE_OPTIONS.map(({ option, label }) => ({
+    label,
+    href: `${getBaseUrl()}/snooze.html?id=${id}&option=${option}&token=${token}`
+  }));
+};
+
+const sendSms = async (to, body) => {
+  if (!twilioClient || !process.env.TWILIO_FROM_NUMBER) {
+    throw new Error('Twilio not configured');
+  }
+
+  return twilioClient.messages.create({
+    from: process.env.TWILIO_FROM_NUMBER,
+    to,
+    body
+  });
+};
+
+// Push a notification to every device the user subscribed, removing the
+// subscriptions the push service says have expired. Fails unless at least
+// one device was reached.
+const sendPush = async (userId, notification) => {
+  if (!vapidDetails) throw new Error('Web Push not configured');
+  if (!userId) throw new Error('No user on reminder');
+
+  const subscriptions = await storage.pushSubscriptions.listForUser(userId);
+  if (!subscriptions.length) throw new Error('No devices subscribed to push notifications');
+
+  const { sent, expired, errors } = await sendToSubscriptions(subscriptions, notification, vapidDetails);
+
+  if (expired.length) {
+    try {
+      await storage.pushSubscriptions.removeByIds(expired);
+      logger.info('Removed expired push subscriptions', { userId, count: expired.length });
+    } catch (removeError) {
+      logger.error('Failed to remove expired push subscriptions', { userId, error: removeError });
+    }
+  }
+  if (!sent.length) {
+    throw new Error(errors.join('; ') || 'All push subscriptions have expired');
+  }
+
+  await storage.pushSubscriptions.touch(sent, new Date());
+  return { devices: sent.length };
+};
+
+// Done and Snooze buttons for a reminder's push notification. Without
+// ACTION_TOKEN_SECRET it has none and a tap just opens the app.
+const reminderNotification = (reminder, { title, body }) => {
+  if (!hasActionTokenSecret()) return { title, body, tag: `reminder-${reminder.id}` };
+  const snoozeToken = createActionToken('snooze', reminder.id);
+  return buildReminderNotification({
+    reminderId: reminder.id,
+    title,
+    body,
+    completeToken: createActionToken('complete', reminder.id),
+    snoozeToken,
+    links: {
+      complete: completeUrl(reminder.id),
+      snooze: `${getBaseUrl()}/snooze.html?id=${reminder.id}&option=${PUSH_SNOOZE_OPTION}&token=${snoozeToken}`
+    }
+  });
+};
+
+// Send one channel for a reminder and describe the outcome for delivery_status.
+// Resend reports failures in the response rather than throwing, so check both.
+const deliverChannel = async (channel, send) => {
+  try {
+    const result = await send();
+    if (result?.error) throw new Error(result.error.message || 'Delivery failed');
+    deliveries.inc({ channel, status: 'sent' });
+    return { status: 'sent', id: result?.sid || result?.data?.id || result?.id || null, at: new Date().toISOString() };
+  } catch (error) {
+    deliveries.inc({ channel, status: 'failed' });
+    return { status: 'failed', error: error.message, at: new Date().toISOString() };
+  }
+};
+
+// Routes under /api that don't use a user session. send-due is called by cron
+// and checks CRON_SECRET itself; inbound-email checks INBOUND_EMAIL_SECRET.
+const SECRET_API_PATHS = ['/reminders/send-due', '/inbound-email'];
+// /metrics checks METRICS_TOKEN itself, or that the request is local without it
+const PUBLIC_API_PATHS = ['/health', '/health/deep', '/metrics', ...SECRET_API_PATHS];
+
+// Calendar feeds are fetched by calendar apps, authorized by the token in the URL
+const CALENDAR_FEED_PATH = /^\/calendar\/[^/]+\.ics$/;
+
+// Routes that also accept a signed action token from an email/SMS link in
+// place of a session. The route verifies the token itself.
+const ACTION_TOKEN_PATHS = /^\/reminders\/[^/]+\/(complete|reschedule|snooze|action)$/;
+
+// Request limits (per instance, see lib/rate-limit.js) and daily quotas per
+// user on the routes that cost money: transcription, analysis, and emails and
+// texts (sent now, scheduled, or verification codes)
+const MINUTE_MS = 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 120;
+const DAILY_QUOTAS = {
+  transcribe: parseInt(process.env.QUOTA_TRANSCRIBE_PER_DAY, 10) || 100,
+  analyze: parseInt(process.env.QUOTA_ANALYZE_PER_DAY, 10) || 200,
+  sendEmail: parseInt(process.env.QUOTA_SEND_EMAIL_PER_DAY, 10) || 50
+};
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user?.id;
+
+// Every API request by IP, apart from the webhooks, which check their own secret
+const apiRateLimit = createRateLimiter({
+  name: 'api',
+  windowMs: MINUTE_MS,
+  max: RATE_LIMIT_PER_MINUTE,
+  keyFor: (req) => (SECRET_API_PATHS.includes(req.path) ? null : req.ip)
+});
+
+// A sign-in link can be requested for any address, so limit it per address too
+const signInRateLimits = [
+  createRateLimiter({ name: 'sign-in', windowMs: 15 * MINUTE_MS, max: 10, keyFor: byIp }),
+  createRateLimiter({ name: 'sign-in-email', windowMs: 60 * MINUTE_MS, max: 5, keyFor: (req) => normalizeEmail(req.body?.email) || null })
+];
+const verifyRateLimit = createRateLimiter({ name: 'verify', windowMs: 15 * MINUTE_MS, max: 30, keyFor: byIp });
+
+const paidRateLimits = [
+  createRateLimiter({ name: 'paid', windowMs: MINUTE_MS, max: 30, keyFor: byIp }),
+  createRateLimiter({ name: 'paid-user', windowMs: MINUTE_MS, max: 20, keyFor: byUser })
+];
+const sendEmailRateLimit = createRateLimiter({ name: 'send-email', windowMs: MINUTE_MS, max: 5, keyFor: byUser });
+
+const transcribeQuota = createDailyQuota({ storage, metric: 'transcribe', limit: DAILY_QUOTAS.transcribe, label: 'transcriptions' });
+const analyzeQuota = createDailyQuota({ storage, metric: 'analyze', limit: DAILY_QUOTAS.analyze, label: 'analyses' });
+const sendEmailQuota = createDailyQuota({ storage, metric: 'send_email', limit: DAILY_QUOTAS.sendEmail, label: 'emails and texts' });
+
+const auth = createAuth({
+  storage,
+  resend,
+  sendSms,
+  smsAvailable: () => !!(twilioClient && process.env.TWILIO_FROM_NUMBER),
+  getBaseUrl,
+  phoneCodeLimits: [
+    createRateLimiter({ name: 'phone-code', windowMs: 60 * MINUTE_MS, max: 5, keyFor: byUser }),
+    sendEmailQuota
+  ]
+});
+
+app.use('/api', apiRateLimit);
+app.use('/api/auth/magic-link', signInRateLimits);
+app.use('/api/auth/verify', verifyRateLimit);
+app.use('/api/auth', auth.router);
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path) || CALENDAR_FEED_PATH.test(req.path)) return next();
+  if ((req.body?.actionToken || req.query.actionToken) && ACTION_TOKEN_PATHS.test(req.path)) return next();
+  return auth.requireAuth(req, res, next);
+});
+
+// Check a reminder action against the session or the signed action token.
+// Returns null when allowed, otherwise { status, code, error } to send back.
+const authorizeReminderAction = (req, action) => {
+  const actionToken = req.body?.actionToken || req.query.actionToken;
+  if (!actionToken) {
+    return req.user ? null : { status: 401, code: 'unauthenticated', error: 'Authentication required' };
+  }
+
+  const result = verifyActionToken(actionToken, action, req.params.id);
+  if (result.valid) return null;
+
+  return result.reason === 'expired'
+    ? { status: 410, code: 'link_expired', error: 'This link has expired. Open TaskWhisper to manage this reminder.' }
+    : { status: 403, code: 'link_invalid', error: 'This link is not valid for this reminder' };
+};
+
+// Conditions limiting a reminder lookup to rows the caller may act on: not
+// deleted, and owned by the signed-in user. Requests authorized by an action
+// token are already bound to the single reminder ID in the URL.
+const reminderScope = (req) => (req.user
+  ? { deleted_at: null, user_id: req.user.id }
+  : { deleted_at: null });
+
+// For routes taking nothing but the reminder ID
+const validateReminderId = validateRequest({ params: REQUEST_SCHEMAS.reminderParams });
+
+// How long a deleted reminder can still be restored
+const DELETE_UNDO_WINDOW_MS = 5 * 60 * 1000;
+
+// Fields the client may edit with PATCH, mapped to their columns
+const EDITABLE_REMINDER_FIELDS = {
+  transcript: 'transcript',
+  tasks: 'tasks',
+  emailSubject: 'email_subject',
+  emailDraft: 'email_draft',
+  recurrence: 'recurrence_rule',
+  followUpPolicy: 'followup_policy'
+};
+
+// Applied whenever a reminder is moved to a new time (reschedule or snooze):
+// it goes out again as if new, with follow-ups starting over
+const RESCHEDULE_RESET = {
+  sent: false,
+  last_followup_sent: null,
+  followup_count: 0,
+  next_followup_at: null,
+  delivery_status: {},
+  cancelled_at: null,
+  archived_at: null
+};
+
+// Idempotency-Key values for POST /api/reminders: the client's UUID or similar
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const findReminderByIdempotencyKey = (userId, idempotencyKey) => storage.reminders
+  .find({ user_id: userId, idempotency_key: idempotencyKey });
+
+// Add derived fields to a reminder row before it goes back to the client
+const presentReminder = (reminder) => ({
+  ...reminder,
+  recurrence_description: reminder.recurrence_rule ? describeRRule(reminder.recurrence_rule) : null
+});
+
+// Validate an optional RRULE from the client; null/empty means "doesn't repeat"
+const parseRecurrenceInput = (recurrence) => {
+  if (recurrence === undefined || recurrence === null || recurrence === '') return null;
+  return normalizeRRule(recurrence);
+};
+
 app.get('/', (req, res) => {
   // Check if request wants HTML (like from a browser)
   if (req.headers.accept && req.headers.accept.includes('text/html')) {
@@ -69,158 +444,429 @@ app.get('/', (req, res) => {
     message: 'TaskWhisper backend is running!',
     endpoints: {
       health: '/api/health',
+      deepHealth: '/api/health/deep (checks storage and providers)',
+      metrics: '/api/metrics (Prometheus, bearer METRICS_TOKEN, or local only when unset)',
       transcribe: '/api/transcribe (POST with audio file)',
       analyzeMemo: '/api/analyze-memo (POST with transcript)',
-      sendEmail: '/api/send-email (POST with email data)'
+      processMemo: '/api/process-memo (POST with audio file, streams progress as Server-Sent Events)',
+      sendEmail: '/api/send-email (POST with email data)',
+      signIn: '/api/auth/magic-link (POST with email), /api/auth/verify (POST with token)'
     }
   });
 });
 
+// Short links used in SMS reminders (older links have no token)
+app.get('/c/:id{/:token}', (req, res) => {
+  const token = req.params.token ? `&token=${encodeURIComponent(req.params.token)}` : '';
+  res.redirect(`/complete.html?id=${encodeURIComponent(req.params.id)}${token}`);
+});
+
+app.get('/r/:id{/:token}', (req, res) => {
+  const token = req.params.token ? `&token=${encodeURIComponent(req.params.token)}` : '';
+  res.redirect(`/reschedule.html?id=${encodeURIComponent(req.params.id)}${token}`);
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date(),
     whisperAvailable: !!process.env.OPENAI_API_KEY,
     claudeAvailable: !!process.env.ANTHROPIC_API_KEY,
-    emailAvailable: !!process.env.RESEND_API_KEY  // ← NEW
+    analyzer: analyzer.name,
+    transcriber: transcriber.name,
+    storage: storage.name,
+    emailAvailable: !!process.env.RESEND_API_KEY,  // ← NEW
+    smsAvailable: !!(twilioClient && process.env.TWILIO_FROM_NUMBER),
+    pushAvailable: !!vapidDetails
   });
 });
 
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
-  let renamedPath = null;
-  
+// Deep health check for uptime monitors: asks each dependency whether it can
+// be reached. Storage being down makes the service unhealthy (503); any other
+// failure only degrades it. Results are kept briefly so frequent polling
+// doesn't turn into provider calls.
+const HEALTH_PROBE_TIMEOUT_MS = 5 * 1000;
+const DEEP_HEALTH_CACHE_MS = 30 * 1000;
+
+const checkResend = async () => {
+  const { error } = await resend.domains.list();
+  // A sending-only key may not list domains, but being told so means the key works
+  if (error && error.name !== 'restricted_api_key') throw new Error(error.message);
+};
+
+// A probe per dependency: a function, 'mock' for the offline providers, or
+// null when it isn't set up
+const DEPENDENCY_PROBES = {
+  storage: () => storage.ping(),
+  analyzer: analyzer.name === 'mock' ? 'mock' : analyzer.probe || null,
+  transcriber: transcriber.mock ? 'mock' : transcriber.probe || null,
+  email: resend ? checkResend : null,
+  sms: twilioClient ? () => twilioClient.api.v2010.accounts(process.env.TWILIO_ACCOUNT_SID).fetch() : null,
+  // Push services can't be asked about us without a subscription to send to
+  push: vapidDetails ? async () => {} : null
+};
+
+const checkDependency = async (probe) => {
+  if (probe === 'mock') return { status: 'mock' };
+  if (!probe) return { status: 'not_configured' };
+
+  const start = Date.now();
+  let timer;
   try {
-    console.log('📝 Transcription request received');
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file provided' });
+    await Promise.race([
+      probe(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_PROBE_TIMEOUT_MS / 1000}s`)), HEALTH_PROBE_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkDeepHealth = async () => {
+  const dependencies = Object.fromEntries(await Promise.all(
+    Object.entries(DEPENDENCY_PROBES).map(async ([name, probe]) => [name, await checkDependency(probe)])
+  ));
+  const down = Object.keys(dependencies).filter(name => dependencies[name].status === 'down');
+  const status = dependencies.storage.status === 'down' ? 'unhealthy' : down.length ? 'degraded' : 'healthy';
+  if (down.length) logger.warn('Deep health check failed', { status, down });
+  return { status, timestamp: new Date(), dependencies };
+};
+
+let deepHealthCache = null;
+
+app.get('/api/health/deep', async (req, res) => {
+  try {
+    if (!deepHealthCache || Date.now() - deepHealthCache.at > DEEP_HEALTH_CACHE_MS) {
+      deepHealthCache = { at: Date.now(), health: checkDeepHealth() };
     }
+    const health = await deepHealthCache.health;
+    res.status(health.status === 'unhealthy' ? 503 : 200).json(health);
 
-    console.log('📁 File received:', req.file.originalname, `(${req.file.size} bytes)`);
+  } catch (error) {
+    deepHealthCache = null;
+    logger.error('Error checking health', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-      console.warn('⚠️  No OpenAI API key configured, using mock transcription');
-      
-      const mockTranscript = "This is a test transcription. Configure your OpenAI API key to enable real Whisper transcription.";
-      fs.unlinkSync(req.file.path);
-      
-      return res.json({ 
-        success: true, 
-        transcript: mockTranscript,
-        mock: true
-      });
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// A scraper on this machine. Checks the socket rather than req.ip, which
+// trusts X-Forwarded-For, and turns away anything forwarded, as a reverse
+// proxy on the same machine connects from loopback for every client.
+const isLocalRequest = (req) => LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)
+  && !req.headers['x-forwarded-for'] && !req.headers.forwarded;
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set it must be sent as a
+// bearer token; without it, only scrapes from this machine are answered.
+app.get('/api/metrics', (req, res) => {
+  if (!process.env.METRICS_TOKEN) {
+    if (!isLocalRequest(req)) {
+      return res.status(403).json({ success: false, error: 'Set METRICS_TOKEN to scrape metrics from another machine' });
     }
+  } else if (!safeEqual(req.headers.authorization || '', `Bearer ${process.env.METRICS_TOKEN}`)) {
+    return res.status(401).json({ success: false, error: 'Invalid metrics token' });
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
 
-    console.log('🎤 Sending to Whisper API...');
-    
-    renamedPath = req.file.path + '.webm';
-    fs.renameSync(req.file.path, renamedPath);
-    
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(renamedPath),
-      model: 'whisper-1',
-      language: 'en',
-    });
+// Accept a single 'audio' file. Multer's errors are all about the upload, so
+// they become JSON errors: 413 when it's too large, 400 otherwise. Multer
+// calls back from the stream's events, so bind the callback to keep the
+// request's log context.
+const uploadAudio = (req, res, next) => upload.single('audio')(req, res, AsyncResource.bind((error) => {
+  if (!(error instanceof multer.MulterError)) return next(error);
 
-    console.log('✅ Transcription successful:', transcription.text);
+  logger.warn('Rejected upload', { code: error.code, field: error.field });
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ success: false, code: 'file_too_large', error: `Recordings can be at most ${MAX_UPLOAD_MB} MB` });
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json({ success: false, code: 'unexpected_file', error: 'Upload one recording, in the \'audio\' field' });
+  }
+  res.status(400).json({ success: false, code: 'invalid_upload', error: error.message });
+}));
+
+// One transcriber call, counted in the metrics with its time, audio length and tokens
+const timedTranscribe = async (input) => {
+  const labels = { provider: transcriber.name };
+  const start = process.hrtime.bigint();
+  try {
+    const result = await transcriber.transcribe(input);
+    transcriptions.inc({ ...labels, outcome: 'ok' });
+    if (result.duration) transcribedAudio.inc(labels, result.duration);
+    if (result.usage) {
+      transcriptionTokens.inc({ ...labels, model: transcriber.model, type: 'input' }, result.usage.inputTokens || 0);
+      transcriptionTokens.inc({ ...labels, model: transcriber.model, type: 'output' }, result.usage.outputTokens || 0);
+    }
+    return result;
+  } catch (error) {
+    transcriptions.inc({ ...labels, outcome: 'error' });
+    throw error;
+  } finally {
+    transcriptionDuration.observe(labels, secondsSince(start));
+  }
+};
+
+// Check an uploaded recording and run it through the transcriber. Every file
+// written along the way is added to `tempPaths` for the caller to remove.
+// onReceived is called once the upload checks out and onPart after each
+// piece of a split recording. Throws AudioUploadError for recordings we
+// won't take.
+const transcribeUpload = async (file, { language: requestedLanguage, tempPaths, onReceived = () => {}, onPart = () => {} }) => {
+  tempPaths.push(file.path);
+  logger.info('Recording received', { mimeType: file.mimetype, bytes: file.size });
+
+  const language = String(requestedLanguage || DEFAULT_TRANSCRIBE_LANGUAGE).toLowerCase();
+  if (language !== 'auto' && !/^[a-z]{2}$/.test(language)) {
+    throw new AudioUploadError(400, 'invalid_language', "language must be a two-letter code such as 'en', or 'auto'");
+  }
+
+  // Trust the file's bytes over its name and Content-Type: Safari records
+  // MP4/M4A even when the client calls it .webm
+  const format = await detectAudioFileFormat(file.path);
+  if (!format) {
+    throw new AudioUploadError(415, 'unsupported_format', 'Unsupported audio format. Please upload WebM, MP4/M4A, MP3, WAV, OGG or FLAC.');
+  }
+  if (!mimeTypeMatches(file.mimetype, format)) {
+    logger.warn('Upload labelled with the wrong type', { mimeType: file.mimetype, format });
+  }
+
+  const duration = await probeDuration(file.path, format);
+  if (duration && duration > MAX_RECORDING_MINUTES * 60) {
+    throw new AudioUploadError(413, 'recording_too_long', `Recordings can be at most ${MAX_RECORDING_MINUTES} minutes long`);
+  }
+
+  // Whisper goes by the extension, so give the file the right one
+  const audioPath = `${file.path}.${format}`;
+  await fs.promises.rename(file.path, audioPath);
+  tempPaths.push(audioPath);
+
+  const chunks = await splitForWhisper(audioPath, format, { duration, maxBytes: transcriber.maxBytes });
+  tempPaths.push(...chunks);
+  onReceived({ format, bytes: file.size, duration, parts: chunks.length });
+
+  logger.info('Transcribing', { transcriber: transcriber.name, format, duration, parts: chunks.length });
+
+  // Each part is given the end of the previous part's text as a prompt so
+  // sentences carry across the cut, and its word timings are shifted by the
+  // length of the parts before it
+  const parts = [];
+  const words = [];
+  const confidences = [];
+  let detectedLanguage = null;
+  let offset = 0;
+  for (const chunk of chunks) {
+    const previous = parts.join(' ').slice(-200);
+    const result = await timedTranscribe({ filePath: chunk, format, language, prompt: previous || null });
+    parts.push(result.text);
+    words.push(...result.words.map(word => ({ ...word, start: word.start + offset, end: word.end + offset })));
+    if (result.confidence !== null) confidences.push(result.confidence);
+    detectedLanguage = detectedLanguage || result.language;
+    if (chunks.length > 1) offset += result.duration ?? (await probeDuration(chunk, format)) ?? 0;
+    onPart({ text: result.text, part: parts.length, parts: chunks.length });
+  }
+
+  const transcript = parts.filter(Boolean).join(' ');
+  logger.info('Transcription finished', { transcriber: transcriber.name, characters: transcript.length });
+
+  return {
+    transcript,
+    mock: !!transcriber.mock,
+    transcriber: transcriber.name,
+    format,
+    language: language === 'auto' ? detectedLanguage : language,
+    duration,
+    parts: chunks.length,
+    words,
+    confidence: confidences.length ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : null
+  };
+};
+
+app.post('/api/transcribe', paidRateLimits, transcribeQuota, uploadAudio, validateRequest({ body: REQUEST_SCHEMAS.upload }), async (req, res) => {
+  // Everything written for this request, removed however it ends
+  const tempPaths = [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No audio file provided' });
+    }
 
-    fs.unlinkSync(renamedPath);
+    const transcription = await transcribeUpload(req.file, { language: req.body.language, tempPaths });
 
     res.json({ 
       success: true, 
-      transcript: transcription.text,
-      mock: false
+      ...transcription
     });
 
   } catch (error) {
-    console.error('❌ Transcription error:', error);
-    
-    if (renamedPath && fs.existsSync(renamedPath)) {
-      fs.unlinkSync(renamedPath);
-    } else if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
+    if (error instanceof AudioUploadError) {
+      logger.warn('Rejected upload', { code: error.code, reason: error.message });
+      return res.status(error.status).json({ success: false, code: error.code, error: error.message });
+    }
+
+    logger.error('Transcription error', { error });
     res.status(500).json({ 
+      success: false,
       error: 'Transcription failed', 
       details: error.message 
     });
+  } finally {
+    await removeFiles(tempPaths);
   }
 });
 
-app.post('/api/analyze-memo', async (req, res) => {
-  try {
-    const { transcript } = req.body;
+// An analyzer's send time this far after the task's own time is treated as
+// wrong (a reminder should arrive before the thing it reminds you of, not after)
+const SEND_TIME_TOLERANCE_MS = 60 * 60 * 1000;
+
+// Turn each task's suggestedDate into a timestamp with the date parser and
+// cross-check the send time the analyzer picked against the main task's time.
+// Sets suggestedSendTime plus scheduleSource ('analyzer', 'parser' or
+// 'default') and any scheduleWarnings explaining a fallback.
+const resolveSchedule = (analysis, timeZone, now = new Date()) => {
+  const warnings = [];
+
+  for (const task of analysis.tasks || []) {
+    const parsed = parseDatePhrase(task.suggestedDate, { now, timeZone });
+    task.suggestedTime = parsed ? parsed.date.toISOString() : null;
+    // Only tasks with a time of day go on the calendar (see lib/calendar.js)
+    task.hasTime = !!parsed?.hasTime;
+  }
 
-    console.log('📝 Analyzing transcript with Claude:', transcript);
+  const mainTaskTime = analysis.tasks?.[0]?.suggestedTime ? new Date(analysis.tasks[0].suggestedTime) : null;
+  const analyzerTime = parseLocalDateTime(analysis.suggestedSendTimeLocal, timeZone);
+
+  let sendTime = null;
+  let source = 'default';
+
+  if (analysis.suggestedSendTimeLocal && !analyzerTime) {
+    warnings.push(`Ignored malformed send time "${analysis.suggestedSendTimeLocal}"`);
+  } else if (analyzerTime && analyzerTime <= now) {
+    warnings.push('Ignored a send time in the past');
+  } else if (analyzerTime && mainTaskTime && analyzerTime - mainTaskTime > SEND_TIME_TOLERANCE_MS) {
+    warnings.push('Ignored a send time after the task is due');
+  } else if (analyzerTime) {
+    sendTime = analyzerTime;
+    source = 'analyzer';
+  }
 
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: 'Anthropic API key not configured'
-      });
-    }
+  if (!sendTime && mainTaskTime && mainTaskTime > now) {
+    sendTime = mainTaskTime;
+    source = 'parser';
+  }
+
+  // Nothing usable: tomorrow at the same local time, as the app always did
+  if (!sendTime) {
+    const parsed = parseDatePhrase('in 1 day', { now, timeZone });
+    sendTime = parsed.date;
+  }
+
+  analysis.suggestedSendTime = sendTime.toISOString();
+  analysis.scheduleSource = source;
+  analysis.scheduleWarnings = warnings;
+  return analysis;
+};
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: `You are an intelligent task analyzer with smart prioritization. Analyze this voice memo transcript and extract actionable information.
-
-Transcript: "${transcript}"
-
-Analyze urgency based on:
-- Keywords: "urgent", "ASAP", "deadline", "important", "critical", "emergency" = urgent
-- Time sensitivity: tasks with specific deadlines or time constraints
-- Task type: health/medical = often urgent, shopping = usually normal/low
-- Context clues: "don't forget", "make sure", "remember" = normal priority
-
-Suggest optimal send time based on:
-- Urgent tasks: Send 1-2 hours before needed (or immediately if very urgent)
-- Work tasks: Send on weekday mornings (9am-10am) or 1 hour before work day starts
-- Personal tasks: Send in evening (6pm-8pm) or morning (8am-9am)
-- Health tasks: Send 1 day before or morning of
-- Shopping: Send morning of or 1 day before
-
-Extract and return a JSON object with:
-1. tasks: Array of task objects, each with:
-   - description: Clear task description
-   - suggestedDate: Human-readable date/time (e.g., "Tomorrow morning", "Monday at 9am")
-   - priority: "urgent", "normal", or "low" (be smart about this!)
-   - category: "work", "personal", "health", "shopping", "calls", or "other"
-2. emailDraft: A personalized reminder email for the first/main task
-3. emailSubject: A concise subject line (6-8 words max) that summarizes the main task. Make it action-oriented and clear. Examples: "Send Alan the BucketListers analysis", "Call doctor for appointment", "Buy groceries for dinner"
-4. suggestedSendTime: ISO 8601 timestamp in UTC for when to send the reminder. IMPORTANT: Calculate times as if the user is in a typical US timezone (EST/EDT). For example, if suggesting "tomorrow at 9am", calculate 9am EST converted to UTC. Current UTC time: ${new Date().toISOString()}
-
-Example format:
-{
-  "tasks": [
-    {
-      "description": "Call doctor - urgent appointment",
-      "suggestedDate": "Tomorrow at 2pm",
-      "priority": "urgent",
-      "category": "health"
+// The user's open reminders, nearest first, for a memo to refer back to (see
+// lib/reminder-context.js). Analysis goes ahead without them if they can't
+// be loaded.
+const loadReminderContext = async (userId, timeZone) => {
+  if (!userId) return [];
+
+  try {
+    const reminders = await storage.reminders.listOpen(userId, { limit: MAX_CONTEXT_REMINDERS });
+    return buildReminderContext(reminders, timeZone);
+  } catch (error) {
+    logger.error('Could not load reminders for context', { userId, error });
+    return [];
+  }
+};
+
+// One analyzer call, counted in the metrics with its outcome, time and tokens
+const timedAnalyze = async (input) => {
+  const labels = { provider: analyzer.name, model: analyzer.model };
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const onUsage = ({ inputTokens = 0, outputTokens = 0 }) => {
+    usage.inputTokens += inputTokens;
+    usage.outputTokens += outputTokens;
+    analysisTokens.inc({ ...labels, type: 'input' }, inputTokens);
+    analysisTokens.inc({ ...labels, type: 'output' }, outputTokens);
+  };
+
+  logger.info('Analyzing transcript', { ...labels, characters: input.transcript.length, timeZone: input.timeZone });
+  const start = process.hrtime.bigint();
+  let outcome = 'error';
+  try {
+    const analysis = await analyzer.analyze({ ...input, onUsage });
+    outcome = 'ok';
+    return analysis;
+  } catch (error) {
+    if (error instanceof AnalysisValidationError) outcome = 'invalid';
+    throw error;
+  } finally {
+    const seconds = secondsSince(start);
+    analyses.inc({ ...labels, outcome });
+    analysisDuration.observe(labels, seconds);
+    logger.info('Analysis finished', { ...labels, outcome, durationMs: Math.round(seconds * 1000), ...usage });
+  }
+};
+
+// Run a transcript through the analyzer and turn its answer into something
+// we can schedule. Throws AnalysisValidationError when the analyzer's output
+// can't be used. onDelta streams the analyzer's raw output as it arrives;
+// `context` (from loadReminderContext) lets the memo propose actions on
+// existing reminders.
+const analyzeTranscript = async (transcript, timeZone, { onDelta, context = [] } = {}) => {
+  const analysis = await timedAnalyze({ transcript, timeZone, reminders: context, onDelta });
+
+  // Analyzers give local wall-clock time; convert it here so DST is handled
+  // by the timezone database rather than by the model, and check it against
+  // the tasks' own dates
+  resolveSchedule(analysis, timeZone);
+  if (analysis.scheduleWarnings.length) {
+    logger.warn('Send time fallback', { source: analysis.scheduleSource, warnings: analysis.scheduleWarnings });
+  }
+  analysis.timeZone = timeZone;
+  analysis.analyzer = analyzer.name;
+
+  // Only pass on a recurrence rule we can actually schedule
+  if (analysis.recurrence) {
+    try {
+      analysis.recurrence = normalizeRRule(analysis.recurrence);
+      analysis.recurrenceDescription = describeRRule(analysis.recurrence);
+    } catch (recurrenceError) {
+      logger.warn('Ignoring invalid recurrence from analyzer', { recurrence: analysis.recurrence, error: recurrenceError.message });
+      analysis.recurrence = null;
     }
-  ],
-  "emailDraft": "Hi! Just a friendly reminder about your doctor appointment tomorrow at 2pm. Don't forget to bring your insurance card!",
-  "emailSubject": "Call doctor for appointment tomorrow",
-  "suggestedSendTime": "2025-12-06T12:00:00.000Z"
-}
+  } else {
+    analysis.recurrence = null;
+  }
 
-Respond ONLY with valid JSON, no other text.`
-      }]
-    });
+  // Actions come back for the client to confirm, never applied here
+  const { actions, warnings } = resolveActions(analysis.actions, context, {
+    timeZone,
+    fallbackTime: new Date(analysis.suggestedSendTime)
+  });
+  if (warnings.length) logger.warn('Dropped reminder actions', { warnings });
+  analysis.actions = actions;
 
-    const responseText = message.content[0].text;
-    console.log('🤖 Claude raw response:', responseText);
+  return analysis;
+};
 
-    let cleanedResponse = responseText.trim();
-    cleanedResponse = cleanedResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    const analysis = JSON.parse(cleanedResponse);
+app.post('/api/analyze-memo', paidRateLimits, validateRequest({ body: REQUEST_SCHEMAS.analyzeMemo }), analyzeQuota, async (req, res) => {
+  try {
+    const { transcript } = req.body;
+    // Resolve relative phrases ("tomorrow at 9am") in the user's own timezone
+    const timeZone = resolveTimeZone(req.body.timeZone, req.user.timezone);
 
-    console.log('✅ Claude analysis parsed:', analysis);
+    const context = await loadReminderContext(req.user.id, timeZone);
+    const analysis = await analyzeTranscript(transcript, timeZone, { context });
 
     res.json({
       success: true,
@@ -228,7 +874,16 @@ Respond ONLY with valid JSON, no other text.`
     });
 
   } catch (error) {
-    console.error('❌ Error analyzing with Claude:', error);
+    if (error instanceof AnalysisValidationError) {
+      return res.status(422).json({
+        success: false,
+        code: error.code,
+        error: `The ${analyzer.name} analyzer returned an analysis that could not be used`,
+        fields: error.fields
+      });
+    }
+
+    logger.error('Error analyzing memo', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -236,13 +891,122 @@ Respond ONLY with valid JSON, no other text.`
   }
 });
 
-// ← NEW ENDPOINT: Send email
-app.post('/api/send-email', async (req, res) => {
+// Turn a response into a Server-Sent Events stream. send(event, data) does
+// nothing once the client has gone; a comment line goes out every 15s so
+// proxies don't close a quiet stream while the transcriber works.
+const openEventStream = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+  const stop = () => clearInterval(heartbeat);
+  req.on('close', stop);
+
+  return {
+    send: (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      stop();
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+// Transcribe and analyze a recording in one request, streaming progress as
+// Server-Sent Events instead of making the client wait on /api/transcribe and
+// then /api/analyze-memo:
+//
+//   received            { format, bytes, duration, parts }
+//   transcript_partial  { text, part, parts }     after each piece of the recording
+//   transcript          the /api/transcribe response, less `success`
+//   analysis_delta      { text, attempt }         the analysis JSON as it's written
+//   analysis            { analysis }              as /api/analyze-memo returns it
+//   error               { status, code, error, fields? }
+//   done                {}
+//
+// Problems with the upload itself (no file, too big) are still plain JSON
+// errors, since they're known before the stream opens.
+app.post('/api/process-memo', paidRateLimits, transcribeQuota, analyzeQuota, uploadAudio, validateRequest({ body: REQUEST_SCHEMAS.upload }), async (req, res) => {
+  const tempPaths = [];
+
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No audio file provided' });
+  }
+
+  const timeZone = resolveTimeZone(req.body.timeZone, req.user.timezone);
+  const events = openEventStream(req, res);
+  const send = events.send;
+
   try {
-    const { to, from, subject, emailBody, tasks } = req.body;
+    const transcription = await transcribeUpload(req.file, {
+      language: req.body.language,
+      tempPaths,
+      onReceived: (upload) => send('received', upload),
+      onPart: (part) => send('transcript_partial', part)
+    });
+    send('transcript', transcription);
+
+    if (!transcription.transcript.trim()) {
+      send('error', { status: 422, code: 'empty_transcript', error: 'No speech was found in the recording' });
+      return;
+    }
+    if (transcription.transcript.length > MAX_TRANSCRIPT_LENGTH) {
+      send('error', { status: 413, code: 'transcript_too_long', error: `Transcripts can be at most ${MAX_TRANSCRIPT_LENGTH} characters to analyze` });
+      return;
+    }
+
+    const analysis = await analyzeTranscript(transcription.transcript, timeZone, {
+      context: await loadReminderContext(req.user.id, timeZone),
+      onDelta: (text, attempt) => send('analysis_delta', { text, attempt })
+    });
+    send('analysis', { analysis });
+
+  } catch (error) {
+    if (error instanceof AudioUploadError) {
+      logger.warn('Rejected upload', { code: error.code, reason: error.message });
+      send('error', { status: error.status, code: error.code, error: error.message });
+    } else if (error instanceof AnalysisValidationError) {
+      send('error', {
+        status: 422,
+        code: error.code,
+        error: `The ${analyzer.name} analyzer returned an analysis that could not be used`,
+        fields: error.fields
+      });
+    } else {
+      logger.error('Error processing memo', { error });
+      send('error', { status: 500, error: error.message });
+    }
+  } finally {
+    send('done', {});
+    events.end();
+    await removeFiles(tempPaths);
+  }
+});
+
+// Signed-in users can only email themselves. Checked before the quota is
+// charged, so a refused send doesn't count.
+const ownAddressOnly = (req, res, next) => {
+  if (req.body.to && req.body.to.toLowerCase() !== req.user.email.toLowerCase()) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only send emails to your own address'
+    });
+  }
+  next();
+};
 
-    console.log('📧 Sending email to:', to);
-    console.log('📧 Subject:', subject);
+// ← NEW ENDPOINT: Send email
+app.post('/api/send-email', sendEmailRateLimit, validateRequest({ body: REQUEST_SCHEMAS.sendEmail }), ownAddressOnly, sendEmailQuota, async (req, res) => {
+  try {
+    const { subject, emailBody, tasks } = req.body;
+    const to = req.body.to || req.user.email;
 
     if (!process.env.RESEND_API_KEY) {
       return res.status(500).json({
@@ -251,52 +1015,18 @@ app.post('/api/send-email', async (req, res) => {
       });
     }
 
-    // Format tasks as HTML
-    const tasksHtml = tasks.map(task => `
-      <div style="background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 5px;">
-        <h3 style="margin: 0 0 10px 0; color: #333;">${task.description}</h3>
-        <p style="margin: 5px 0; color: #666;">📅 <strong>When:</strong> ${task.suggestedDate}</p>
-        <p style="margin: 5px 0; color: #666;">⚡ <strong>Priority:</strong> ${task.priority}</p>
-        <p style="margin: 5px 0; color: #666;">📂 <strong>Category:</strong> ${task.category}</p>
-      </div>
-    `).join('');
-
-    // Create HTML email
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🎤 TaskWhisper Reminder</h1>
-          </div>
-          
-          <div style="background: white; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
-            <p style="font-size: 16px; color: #666; margin-bottom: 20px;">${emailBody}</p>
-            
-            <h2 style="color: #667eea; margin-top: 30px; margin-bottom: 20px;">Your Tasks:</h2>
-            ${tasksHtml}
-            
-            <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e0e0e0; text-align: center; color: #999; font-size: 14px;">
-              <p>Sent from TaskWhisper - Your AI-powered voice memo assistant</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
+    const email = renderReminderEmail({ subject, message: emailBody, tasks: tasks || [] });
 
     // Send email via Resend
     const data = await resend.emails.send({
       from: 'TaskWhisper <noreply@jaypwadhwani.com>',
       to: to,
-      subject: subject || 'TaskWhisper Reminder - Your Tasks',
-      html: htmlContent,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
     });
 
-    console.log('✅ Email sent successfully:', data);
+    logger.info('Email sent', { userId: req.user.id });
 
     res.json({
       success: true,
@@ -305,7 +1035,7 @@ app.post('/api/send-email', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error sending email:', error);
+    logger.error('Error sending email', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -314,314 +1044,1298 @@ app.post('/api/send-email', async (req, res) => {
 });
 
 // Save a scheduled reminder
-app.post('/api/reminders', async (req, res) => {
+app.post('/api/reminders', validateRequest({ body: REQUEST_SCHEMAS.createReminder }), async (req, res) => {
   try {
-    const { email, transcript, tasks, emailDraft, emailSubject, scheduledFor } = req.body;
+    const { phoneNumber, transcript, tasks, emailDraft, emailSubject, scheduledFor, recurrence, followUpPolicy } = req.body;
+    // Set by clients that may send the same save twice (the offline queue)
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    const timeZone = resolveTimeZone(req.body.timeZone, req.user.timezone);
+    const notificationMethods = Array.isArray(req.body.notificationMethods) && req.body.notificationMethods.length
+      ? [...new Set(req.body.notificationMethods)]
+      : ['email'];
 
     const scheduledDate = new Date(scheduledFor);
-    console.log('📅 Saving reminder for:', email);
-    console.log('   Scheduled time (UTC):', scheduledFor);
-    console.log('   Scheduled time (local):', scheduledDate.toString());
-    console.log('   Subject:', emailSubject);
 
-    if (!supabase) {
-      return res.status(500).json({ success: false, error: 'Database not configured' });
+    if (isNaN(scheduledDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'scheduledFor must be a valid date' });
+    }
+    const unknownMethods = notificationMethods.filter(method => !NOTIFICATION_METHODS.includes(method));
+    if (unknownMethods.length) {
+      return res.status(400).json({ success: false, error: `Unknown notification method: ${unknownMethods.join(', ')}` });
+    }
+    // Reminders only go to the user's own address and verified phone number,
+    // like /api/send-email, so they can't be used to message anyone else
+    if (req.body.email && req.body.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ success: false, code: 'recipient_not_allowed', error: 'Reminders can only be emailed to your own address' });
+    }
+    if (notificationMethods.includes('sms') && !req.user.phone_number) {
+      return res.status(403).json({ success: false, code: 'phone_not_verified', error: 'Verify your phone number before scheduling SMS reminders' });
+    }
+    if (notificationMethods.includes('sms') && phoneNumber && phoneNumber !== req.user.phone_number) {
+      return res.status(403).json({ success: false, code: 'phone_not_verified', error: 'SMS reminders can only go to your verified phone number' });
+    }
+    if (notificationMethods.includes('push') && !vapidDetails) {
+      return res.status(400).json({ success: false, error: 'Push notifications are not set up on this server' });
+    }
+    if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores' });
+    }
+
+    let recurrenceRule;
+    try {
+      recurrenceRule = parseRecurrenceInput(recurrence);
+    } catch (recurrenceError) {
+      return res.status(400).json({ success: false, error: `Invalid recurrence: ${recurrenceError.message}` });
+    }
+
+    let followUpOverride = null;
+    if (followUpPolicy !== undefined) {
+      try {
+        followUpOverride = normalizeFollowUpPolicy(followUpPolicy);
+      } catch (policyError) {
+        return res.status(400).json({ success: false, error: `Invalid follow-up policy: ${policyError.message}` });
+      }
+    }
+
+    // A replay of a save that already went through gets the same reminder back
+    if (idempotencyKey) {
+      const existing = await findReminderByIdempotencyKey(req.user.id, idempotencyKey);
+      if (existing) {
+        logger.info('Replayed save, returning the existing reminder', { reminderId: existing.id });
+        return res.json({ success: true, replayed: true, reminder: presentReminder(existing) });
+      }
+    }
+
+    // Scheduled emails and texts count towards the same daily quota as those sent now
+    if (notificationMethods.includes('email') || notificationMethods.includes('sms')) {
+      const quota = await useDailyQuota({ storage, metric: 'send_email', limit: DAILY_QUOTAS.sendEmail, userId: req.user.id });
+      if (!quota.allowed) {
+        logger.warn('Daily quota reached', { metric: 'send_email', userId: req.user.id });
+        res.set('Retry-After', String(quota.retryAfter));
+        return res.status(429).json({
+          success: false,
+          code: 'quota_exceeded',
+          error: quotaMessage(DAILY_QUOTAS.sendEmail, 'emails and texts'),
+          retryAfter: quota.retryAfter
+        });
+      }
     }
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .insert({
-        email,
-        phone_number: null,
+    let data;
+    try {
+      data = await storage.reminders.create({
+        user_id: req.user.id,
+        idempotency_key: idempotencyKey,
+        email: req.user.email,
+        phone_number: notificationMethods.includes('sms') ? req.user.phone_number : null,
         transcript,
         tasks,
         email_draft: emailDraft,
         email_subject: emailSubject || 'TaskWhisper Reminder - Your Tasks',
         scheduled_for: scheduledFor,
-        notification_methods: ['email'],
+        notification_methods: notificationMethods,
+        delivery_status: {},
+        recurrence_rule: recurrenceRule,
+        recurrence_start: recurrenceRule ? scheduledFor : null,
+        occurrence_index: 0,
+        timezone: timeZone,
+        followup_policy: followUpOverride,
         sent: false,
         completed: false,
         last_followup_sent: null,
         followup_count: 0
-      })
-      .select()
-      .single();
+      });
+    } catch (createError) {
+      // Two copies of the same save racing: the unique key lets one in
+      if (!(createError instanceof StorageConflictError && idempotencyKey)) throw createError;
+      const existing = await findReminderByIdempotencyKey(req.user.id, idempotencyKey);
+      if (!existing) throw createError;
+      return res.json({ success: true, replayed: true, reminder: presentReminder(existing) });
+    }
 
-    if (error) throw error;
+    // Remember the client's timezone for future analysis and emails
+    if (isValidTimeZone(req.body.timeZone) && req.body.timeZone !== req.user.timezone) {
+      await storage.users.update({ id: req.user.id }, { timezone: req.body.timeZone })
+        .catch(userError => logger.error('Failed to save user timezone', { userId: req.user.id, error: userError }));
+    }
 
-    console.log('✅ Reminder saved:', data.id);
-    res.json({ success: true, reminder: data });
+    logger.info('Reminder saved', { reminderId: data.id, scheduledFor, channels: notificationMethods });
+    res.json({ success: true, reminder: presentReminder(data) });
 
   } catch (error) {
-    console.error('❌ Error saving reminder:', error);
+    logger.error('Error saving reminder', { error });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all reminders for a user
+// Get all reminders for the signed-in user
 app.get('/api/reminders', async (req, res) => {
   try {
-    const { email } = req.query;
+    const data = await storage.reminders.listForUser(req.user.id);
+
+    res.json({ success: true, reminders: data.map(presentReminder) });
+
+  } catch (error) {
+    logger.error('Error fetching reminders', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Calendar feed URL for the signed-in user. Only a hash of the token is
+// stored, so the URL is shown once; asking again replaces it and the old
+// one stops working.
+app.post('/api/calendar/feed', async (req, res) => {
+  try {
+    const token = generateToken();
+    await storage.users.update({ id: req.user.id }, { calendar_token_hash: hashToken(token) });
+
+    const url = `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`}/api/calendar/${token}.ics`;
+    logger.info('Calendar feed created', { userId: req.user.id });
+    res.json({ success: true, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+
+  } catch (error) {
+    logger.error('Error creating calendar feed', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/calendar/feed', async (req, res) => {
+  try {
+    await storage.users.update({ id: req.user.id }, { calendar_token_hash: null });
+
+    logger.info('Calendar feed turned off', { userId: req.user.id });
+    res.json({ success: true });
 
-    if (!supabase) {
-      return res.status(500).json({ success: false, error: 'Database not configured' });
+  } catch (error) {
+    logger.error('Error removing calendar feed', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Web Push: the key browsers need to subscribe, and the signed-in user's
+// subscriptions. Each device subscribes separately.
+app.get('/api/push/public-key', (req, res) => {
+  if (!vapidDetails) {
+    return res.status(503).json({ success: false, code: 'push_unavailable', error: 'Push notifications are not set up on this server' });
+  }
+  res.json({ success: true, publicKey: vapidDetails.publicKey });
+});
+
+app.post('/api/push/subscriptions', validateRequest({ body: REQUEST_SCHEMAS.pushSubscribe }), async (req, res) => {
+  try {
+    if (!vapidDetails) {
+      return res.status(503).json({ success: false, code: 'push_unavailable', error: 'Push notifications are not set up on this server' });
     }
+    const subscription = parseSubscription(req.body.subscription);
+
+    // Endpoints belong to a device, so one that's already stored (perhaps
+    // under another account signed in on it) moves to this user
+    await storage.pushSubscriptions.save({
+      ...subscription,
+      user_id: req.user.id,
+      user_agent: req.get('User-Agent')?.slice(0, 300) || null
+    });
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .select('*')
-      .eq('email', email)
-      .order('scheduled_for', { ascending: true });
+    logger.info('Push subscription saved', { userId: req.user.id });
+    res.json({ success: true });
+
+  } catch (error) {
+    if (error instanceof PushSubscriptionError) {
+      return res.status(error.status).json({ success: false, code: error.code, error: error.message });
+    }
+    logger.error('Error saving push subscription', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (error) throw error;
+app.delete('/api/push/subscriptions', validateRequest({ body: REQUEST_SCHEMAS.pushUnsubscribe }), async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    await storage.pushSubscriptions.remove({ user_id: req.user.id, endpoint });
 
-    res.json({ success: true, reminders: data });
+    logger.info('Push subscription removed', { userId: req.user.id });
+    res.json({ success: true });
 
   } catch (error) {
-    console.error('❌ Error fetching reminders:', error);
+    logger.error('Error removing push subscription', { error });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Mark reminder as completed
-app.post('/api/reminders/:id/complete', async (req, res) => {
+// The feed itself: a user's open reminders (and recently completed ones) as
+// iCalendar, for Google/Apple Calendar to subscribe to
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await storage.users.find({ calendar_token_hash: hashToken(req.params.token) });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+
+    const now = new Date();
+    const reminders = await storage.reminders.listForCalendar(user.id, {
+      completedSince: new Date(now.getTime() - COMPLETED_VISIBLE_MS),
+      limit: 1000
+    });
+
+    const calendar = buildFeed(reminders, {
+      timeZone: resolveTimeZone(user.timezone),
+      urlFor: () => getBaseUrl(),
+      now
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="taskwhisper.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Error building calendar feed', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Preview the reminder behind an email/SMS action link so the page can ask
+// for confirmation before anything changes. Link scanners only ever hit this.
+app.get('/api/reminders/:id/action', validateRequest({ params: REQUEST_SCHEMAS.reminderParams, query: REQUEST_SCHEMAS.actionPreview }), async (req, res) => {
   try {
     const { id } = req.params;
-    console.log('✅ Marking reminder as complete:', id);
+    const { action } = req.query;
 
-    if (!supabase) {
-      return res.status(500).json({ success: false, error: 'Database not configured' });
+    const denied = authorizeReminderAction(req, action);
+    if (denied) {
+      return res.status(denied.status).json({ success: false, code: denied.code, error: denied.error });
     }
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .update({ completed: true })
-      .eq('id', id)
-      .select()
-      .single();
+    const data = await storage.reminders.find({ id, ...reminderScope(req) });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
 
-    if (error) throw error;
+    // Snooze pages show where each option would move the reminder
+    const snoozeOptions = action === 'snooze'
+      ? describeSnoozeOptions({ timeZone: resolveTimeZone(data.timezone, req.user?.timezone) })
+      : undefined;
 
-    console.log('✅ Reminder marked complete');
-    res.json({ success: true, reminder: data });
+    // Only what the page shows: the link may have been forwarded
+    const { email_subject, tasks, scheduled_for, completed, timezone } = data;
+    res.json({ success: true, action, reminder: { id, email_subject, tasks, scheduled_for, completed, timezone }, snoozeOptions });
 
   } catch (error) {
-    console.error('❌ Error completing reminder:', error);
+    logger.error('Error loading reminder action', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Mark reminder as completed
+app.post('/api/reminders/:id/complete', validateRequest({ params: REQUEST_SCHEMAS.reminderParams, body: REQUEST_SCHEMAS.reminderAction }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const denied = authorizeReminderAction(req, 'complete');
+    if (denied) {
+      return res.status(denied.status).json({ success: false, code: denied.code, error: denied.error });
+    }
+
+    const data = await storage.reminders.update({ id, ...reminderScope(req) }, { completed: true });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
+
+    logger.info('Reminder completed', { reminderId: id });
+    res.json({ success: true, reminder: presentReminder(data) });
+
+  } catch (error) {
+    logger.error('Error completing reminder', { error });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Reschedule a reminder
-app.post('/api/reminders/:id/reschedule', async (req, res) => {
+app.post('/api/reminders/:id/reschedule', validateRequest({ params: REQUEST_SCHEMAS.reminderParams, body: REQUEST_SCHEMAS.reschedule }), async (req, res) => {
   try {
     const { id } = req.params;
     const { scheduledFor } = req.body;
-    console.log('🔄 Rescheduling reminder:', id, 'to', scheduledFor);
 
-    if (!supabase) {
-      return res.status(500).json({ success: false, error: 'Database not configured' });
+    const denied = authorizeReminderAction(req, 'reschedule');
+    if (denied) {
+      return res.status(denied.status).json({ success: false, code: denied.code, error: denied.error });
     }
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .update({ 
-        scheduled_for: scheduledFor,
-        sent: false,
-        last_followup_sent: null,
-        followup_count: 0
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    if (!scheduledFor || isNaN(new Date(scheduledFor).getTime())) {
+      return res.status(400).json({ success: false, error: 'scheduledFor must be a valid date' });
+    }
 
-    if (error) throw error;
+    const data = await storage.reminders.update({ id, ...reminderScope(req) }, { ...RESCHEDULE_RESET, scheduled_for: scheduledFor });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
 
-    console.log('✅ Reminder rescheduled');
-    res.json({ success: true, reminder: data });
+    logger.info('Reminder rescheduled', { reminderId: id, scheduledFor });
+    res.json({ success: true, reminder: presentReminder(data) });
 
   } catch (error) {
-    console.error('❌ Error rescheduling reminder:', error);
+    logger.error('Error rescheduling reminder', { error });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Check and send due reminders (called by cron)
-app.post('/api/reminders/send-due', async (req, res) => {
+// Snooze a reminder from an email link: like reschedule, with the new time
+// worked out from the option in the reminder's timezone and kept in its history
+app.post('/api/reminders/:id/snooze', validateRequest({ params: REQUEST_SCHEMAS.reminderParams, body: REQUEST_SCHEMAS.snooze }), async (req, res) => {
   try {
-    const now = new Date();
-    console.log('⏰ Checking for due reminders...');
-    console.log('   Current time (UTC):', now.toISOString());
-    console.log('   Current time (local):', now.toString());
+    const { id } = req.params;
+    const { option } = req.body;
 
-    if (!supabase || !resend) {
-      return res.status(500).json({ success: false, error: 'Services not configured' });
+    const denied = authorizeReminderAction(req, 'snooze');
+    if (denied) {
+      return res.status(denied.status).json({ success: false, code: denied.code, error: denied.error });
     }
 
-    // Get unsent reminders that are due
-    const { data: dueReminders, error } = await supabase
-      .from('reminders')
-      .select('*')
-      .eq('sent', false)
-      .lte('scheduled_for', now.toISOString());
+    const reminder = await storage.reminders.find({ id, ...reminderScope(req) });
+    if (!reminder) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
+
+    const now = new Date();
+    const until = snoozeUntil(option, { now, timeZone: resolveTimeZone(reminder.timezone, req.user?.timezone) });
+    const history = [
+      ...(reminder.snooze_history || []),
+      { option, label: snoozeLabel(option), from: reminder.scheduled_for, to: until.toISOString(), at: now.toISOString() }
+    ].slice(-MAX_SNOOZE_HISTORY);
+
+    const data = await storage.reminders.update(
+      { id, ...reminderScope(req) },
+      { ...RESCHEDULE_RESET, scheduled_for: until.toISOString(), snooze_history: history }
+    );
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
 
-    if (error) throw error;
+    logger.info('Reminder snoozed', { reminderId: id, option, until: until.toISOString() });
+    res.json({ success: true, reminder: presentReminder(data) });
 
-    console.log(`📬 Found ${dueReminders.length} due reminders`);
+  } catch (error) {
+    logger.error('Error snoozing reminder', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const results = [];
-    for (const reminder of dueReminders) {
+// Edit a reminder's transcript, tasks, subject or email draft
+app.patch('/api/reminders/:id', validateRequest({ params: REQUEST_SCHEMAS.reminderParams, body: REQUEST_SCHEMAS.editReminder }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = {};
+    for (const [field, column] of Object.entries(EDITABLE_REMINDER_FIELDS)) {
+      if (req.body[field] !== undefined) updates[column] = req.body[field];
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update. Editable fields: ${Object.keys(EDITABLE_REMINDER_FIELDS).join(', ')}`
+      });
+    }
+    if (updates.recurrence_rule !== undefined) {
+      try {
+        updates.recurrence_rule = parseRecurrenceInput(updates.recurrence_rule);
+      } catch (recurrenceError) {
+        return res.status(400).json({ success: false, error: `Invalid recurrence: ${recurrenceError.message}` });
+      }
+    }
+    if (updates.followup_policy !== undefined) {
       try {
-        // Format tasks as HTML
-        const tasksHtml = (reminder.tasks || []).map(task => `
-          <div style="background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 5px;">
-            <h3 style="margin: 0 0 10px 0; color: #333;">${task.description}</h3>
-            <p style="margin: 5px 0; color: #666;">📅 <strong>When:</strong> ${task.suggestedDate}</p>
-            <p style="margin: 5px 0; color: #666;">⚡ <strong>Priority:</strong> ${task.priority}</p>
-          </div>
-        `).join('');
-
-        const htmlContent = `
-          <!DOCTYPE html>
-          <html>
-            <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-              <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
-                <h1 style="color: white; margin: 0; font-size: 28px;">🎤 TaskWhisper Reminder</h1>
-              </div>
-              <div style="background: white; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
-                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">${reminder.email_draft || 'Here are your tasks:'}</p>
-                <h2 style="color: #667eea; margin-top: 30px; margin-bottom: 20px;">Your Tasks:</h2>
-                ${tasksHtml}
-                <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e0e0e0; text-align: center; color: #999; font-size: 14px;">
-                  <p>Sent from TaskWhisper</p>
-                </div>
-              </div>
-            </body>
-          </html>
-        `;
-
-        // Send email
-        if (reminder.email) {
-          const emailSubject = reminder.email_subject || 'TaskWhisper Reminder - Your Tasks';
-          await resend.emails.send({
-            from: 'TaskWhisper <noreply@jaypwadhwani.com>',
-            to: reminder.email,
-            subject: emailSubject,
-            html: htmlContent,
+        updates.followup_policy = normalizeFollowUpPolicy(updates.followup_policy);
+      } catch (policyError) {
+        return res.status(400).json({ success: false, error: `Invalid follow-up policy: ${policyError.message}` });
+      }
+    }
+
+    const data = await storage.reminders.update({ id, ...reminderScope(req) }, updates);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
+
+    logger.info('Reminder edited', { reminderId: id });
+    res.json({ success: true, reminder: presentReminder(data) });
+
+  } catch (error) {
+    logger.error('Error editing reminder', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Soft-delete a reminder. It can be restored within DELETE_UNDO_WINDOW_MS.
+app.delete('/api/reminders/:id', validateReminderId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deletedAt = new Date();
+    const data = await storage.reminders.update({ id, ...reminderScope(req) }, { deleted_at: deletedAt.toISOString() });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
+
+    logger.info('Reminder deleted', { reminderId: id });
+    res.json({
+      success: true,
+      id: data.id,
+      undoUntil: new Date(deletedAt.getTime() + DELETE_UNDO_WINDOW_MS).toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting reminder', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Undo a delete while the undo window is still open
+app.post('/api/reminders/:id/restore', validateReminderId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Restored only if it's still the delete we looked at, and recent enough
+    const windowStart = Date.now() - DELETE_UNDO_WINDOW_MS;
+    const deleted = await storage.reminders.find({ id, user_id: req.user.id });
+    const data = deleted?.deleted_at && new Date(deleted.deleted_at).getTime() >= windowStart
+      ? await storage.reminders.update({ id, user_id: req.user.id, deleted_at: deleted.deleted_at }, { deleted_at: null })
+      : null;
+    if (!data) {
+      return res.status(410).json({ success: false, error: 'This reminder can no longer be restored' });
+    }
+
+    logger.info('Reminder restored', { reminderId: id });
+    res.json({ success: true, reminder: presentReminder(data) });
+
+  } catch (error) {
+    logger.error('Error restoring reminder', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stop a reminder (and its follow-ups) without marking it complete.
+// Rescheduling a cancelled reminder re-activates it.
+app.post('/api/reminders/:id/cancel', validateReminderId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const data = await storage.reminders.update(
+      { id, completed: false, ...reminderScope(req) },
+      { cancelled_at: new Date().toISOString() }
+    );
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'No open reminder with that ID' });
+    }
+
+    logger.info('Reminder cancelled', { reminderId: id });
+    res.json({ success: true, reminder: presentReminder(data) });
+
+  } catch (error) {
+    logger.error('Error cancelling reminder', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Mark a single task within a reminder as done (or not done). The reminder
+// itself is completed once every task is.
+app.patch('/api/reminders/:id/tasks/:index', validateRequest({ params: REQUEST_SCHEMAS.taskParams, body: REQUEST_SCHEMAS.updateTask }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = parseInt(req.params.index, 10);
+    const completed = req.body.completed !== false;
+
+    const reminder = await storage.reminders.find({ id, ...reminderScope(req) });
+    if (!reminder) {
+      return res.status(404).json({ success: false, error: 'Reminder not found' });
+    }
+
+    const tasks = [...(reminder.tasks || [])];
+    if (!Number.isInteger(index) || index < 0 || index >= tasks.length) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    tasks[index] = {
+      ...tasks[index],
+      completed,
+      completedAt: completed ? new Date().toISOString() : null
+    };
+
+    const data = await storage.reminders.update({ id }, { tasks, completed: tasks.every(task => task.completed) });
+
+    logger.info('Task updated', { reminderId: id, index, completed });
+    res.json({ success: true, reminder: presentReminder(data) });
+
+  } catch (error) {
+    logger.error('Error updating task', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create the next occurrence of a recurring reminder as its own row, so each
+// occurrence gets its own delivery, follow-ups and completion. Occurrences that
+// are already in the past (e.g. after downtime) are skipped rather than sent
+// late in a burst. The unique (series_id, occurrence_index) key makes this
+// safe to retry after a crash.
+const createNextOccurrence = async (reminder, now = new Date()) => {
+  if (!reminder.recurrence_rule) return null;
+
+  const start = reminder.recurrence_start || reminder.scheduled_for;
+  let index = reminder.occurrence_index || 0;
+  const timeZone = resolveTimeZone(reminder.timezone);
+  let next = nextOccurrence(reminder.recurrence_rule, start, reminder.scheduled_for, index, timeZone);
+  while (next && next <= now) {
+    index++;
+    next = nextOccurrence(reminder.recurrence_rule, start, next, index, timeZone);
+  }
+
+  if (!next) {
+    logger.info('Recurring series ended', { seriesId: reminder.series_id || reminder.id });
+    return null;
+  }
+
+  // Task times move with the occurrence, so its calendar events aren't left
+  // on the date of the one before
+  const shift = next - new Date(reminder.scheduled_for);
+  const shiftTime = (time) => (isNaN(new Date(time)) ? time : new Date(new Date(time).getTime() + shift).toISOString());
+
+  const data = await storage.reminders.createOccurrence({
+    user_id: reminder.user_id,
+    email: reminder.email,
+    phone_number: reminder.phone_number,
+    transcript: reminder.transcript,
+    // Each occurrence starts with every task open again
+    tasks: (reminder.tasks || []).map(({ completed, completedAt, ...task }) => (task.suggestedTime ? { ...task, suggestedTime: shiftTime(task.suggestedTime) } : task)),
+    email_draft: reminder.email_draft,
+    email_subject: reminder.email_subject,
+    notification_methods: reminder.notification_methods,
+    timezone: reminder.timezone,
+    followup_policy: reminder.followup_policy,
+    scheduled_for: next.toISOString(),
+    recurrence_rule: reminder.recurrence_rule,
+    recurrence_start: start,
+    series_id: reminder.series_id || reminder.id,
+    occurrence_index: index + 1,
+    delivery_status: {},
+    sent: false,
+    completed: false,
+    last_followup_sent: null,
+    followup_count: 0
+  });
+
+  logger.info('Next occurrence scheduled', { seriesId: reminder.series_id || reminder.id, reminderId: data.id, scheduledFor: next.toISOString() });
+  return data;
+};
+
+// Skip the upcoming occurrence of a recurring reminder and schedule the one after
+app.post('/api/reminders/:id/skip', validateReminderId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const upcoming = { id, sent: false, cancelled_at: null, ...reminderScope(req) };
+    const reminder = await storage.reminders.find(upcoming);
+    const skipped = reminder?.recurrence_rule
+      ? await storage.reminders.update({ ...upcoming, recurrence_rule: reminder.recurrence_rule }, { cancelled_at: new Date().toISOString() })
+      : null;
+    if (!skipped) {
+      return res.status(404).json({ success: false, error: 'No upcoming recurring reminder with that ID' });
+    }
+
+    const next = await createNextOccurrence(skipped);
+
+    logger.info('Occurrence skipped', { reminderId: id });
+    res.json({ success: true, skipped: presentReminder(skipped), reminder: next && presentReminder(next) });
+
+  } catch (error) {
+    logger.error('Error skipping occurrence', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Take a lease on a reminder before sending it, provided it still matches
+// `where`. The claim is a single conditional update, so when several
+// instances race for the same row only one of them gets it back. Expired
+// leases (a crashed sender) can be retaken.
+const claimReminder = (id, where = {}) => {
+  const now = new Date();
+  return storage.reminders.claim({ ...where, id }, {
+    lockedBy: INSTANCE_ID,
+    lockedUntil: new Date(now.getTime() + SCHEDULER_LEASE_MS),
+    now
+  });
+};
+
+const releaseReminder = async (id) => {
+  try {
+    await storage.reminders.update({ id, locked_by: INSTANCE_ID }, { locked_by: null, locked_until: null });
+  } catch (error) {
+    logger.error('Failed to release reminder lock', { reminderId: id, error });
+  }
+};
+
+// Channel outcomes in delivery_status that need no retry: sent, or an email
+// that's covered by the user's digest instead
+const HANDLED_DELIVERIES = ['sent', 'digest'];
+
+// Texts only go to the account's verified number. Reminders saved before
+// numbers were verified may still carry one the user never confirmed.
+const verifiedPhoneNumber = (reminder, user) =>
+  (reminder.phone_number && reminder.phone_number === user?.phone_number ? reminder.phone_number : null);
+
+// Send due reminders, follow-ups and digests (see processDueReminders)
+const sendDueReminders = async () => {
+  const now = new Date();
+
+  // Get unsent reminders that are due
+  const dueReminders = await storage.reminders.listDue(now);
+
+  logger.debug('Found due reminders', { count: dueReminders.length });
+
+  const results = [];
+  for (const dueReminder of dueReminders) {
+    let reminder = null;
+    try {
+      reminder = await claimReminder(dueReminder.id, { sent: false, deleted_at: null, cancelled_at: null });
+      if (!reminder) {
+        logger.info('Reminder already claimed elsewhere', { reminderId: dueReminder.id });
+        continue;
+      }
+
+      const email = renderReminderEmail({
+        subject: reminder.email_subject,
+        message: reminder.email_draft,
+        tasks: reminder.tasks || [],
+        scheduledFor: reminder.scheduled_for,
+        timeZone: resolveTimeZone(reminder.timezone),
+        recurrenceDescription: reminder.recurrence_rule ? describeRRule(reminder.recurrence_rule) : null,
+        snooze: snoozeLinks(reminder.id)
+      });
+      const calendarInvite = buildReminderAttachment(reminder, { timeZone: resolveTimeZone(reminder.timezone) });
+
+      const methods = reminder.notification_methods?.length ? reminder.notification_methods : ['email'];
+      const deliveryStatus = { ...(reminder.delivery_status || {}) };
+
+      // A reminder this morning's digest already listed isn't emailed again;
+      // SMS and push still go out on time
+      const inDigest = listedInSentDigest(dueReminder.user, reminder, resolveTimeZone(dueReminder.user?.timezone));
+
+      // Only (re)try channels that haven't gone out on a previous run
+      for (const method of methods) {
+        if (HANDLED_DELIVERIES.includes(deliveryStatus[method]?.status)) continue;
+
+        if (method === 'email' && inDigest) {
+          deliveryStatus.email = { status: 'digest', at: new Date().toISOString() };
+          logger.info('Reminder email left to the digest', { reminderId: reminder.id });
+          continue;
+        }
+        if (method === 'email') {
+          deliveryStatus.email = await deliverChannel('email', () => {
+            if (!resend) throw new Error('Resend API key not configured');
+            if (!reminder.email) throw new Error('No email address on reminder');
+            return resend.emails.send({
+              from: 'TaskWhisper <noreply@jaypwadhwani.com>',
+              to: reminder.email,
+              // Replies land on /api/inbound-email when it's set up
+              replyTo: replyAddressFor(reminder.id) || undefined,
+              subject: email.subject,
+              html: email.html,
+              text: email.text,
+              // Timed tasks as calendar events
+              attachments: calendarInvite
+                ? [{ filename: 'tasks.ics', content: Buffer.from(calendarInvite), contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }]
+                : undefined,
+            });
+          });
+        } else if (method === 'sms') {
+          deliveryStatus.sms = await deliverChannel('sms', () => {
+            const phoneNumber = verifiedPhoneNumber(reminder, dueReminder.user);
+            if (!phoneNumber) throw new Error('Phone number on reminder is not verified');
+            return sendSms(phoneNumber, `TaskWhisper: ${email.subject}${smsActionLines(reminder.id)}`);
           });
-          console.log('✅ Sent email to:', reminder.email);
-          console.log('   Subject:', emailSubject);
+        } else if (method === 'push') {
+          const openTasks = (reminder.tasks || []).filter(task => !task.completed);
+          deliveryStatus.push = await deliverChannel('push', () => sendPush(reminder.user_id, reminderNotification(reminder, {
+            title: `⏰ ${email.subject}`,
+            body: openTasks.map(task => `• ${task.description}`).join('\n') || reminder.email_draft || ''
+          })));
         }
 
-        // Mark as sent
-        await supabase
-          .from('reminders')
-          .update({ sent: true })
-          .eq('id', reminder.id);
+        if (deliveryStatus[method]?.status === 'sent') {
+          logger.info('Reminder sent', { reminderId: reminder.id, channel: method });
+        } else {
+          logger.error('Reminder delivery failed', { reminderId: reminder.id, channel: method, error: deliveryStatus[method]?.error });
+        }
+      }
 
-        results.push({ id: reminder.id, status: 'sent' });
+      // A reminder counts as sent once any channel reached the user (or the
+      // email was left to the digest); failed channels stay recorded in
+      // delivery_status. If nothing got through it stays unsent and is retried
+      // on the next run.
+      const delivered = methods.some(method => HANDLED_DELIVERIES.includes(deliveryStatus[method]?.status));
+
+      // The first follow-up is scheduled from the moment the reminder went out
+      const policy = resolveFollowUpPolicy(dueReminder.user?.followup_policy, reminder.followup_policy);
+      const firstFollowUp = delivered
+        ? nextFollowUpStep(reminder, policy, { from: now, count: 0, timeZone: resolveTimeZone(reminder.timezone) })
+        : null;
+
+      await storage.reminders.update({ id: reminder.id }, {
+        sent: delivered,
+        delivery_status: deliveryStatus,
+        next_followup_at: firstFollowUp ? firstFollowUp.at.toISOString() : null,
+        locked_by: null,
+        locked_until: null
+      });
 
-      } catch (emailError) {
-        console.error('❌ Failed to send reminder:', reminder.id, emailError);
-        results.push({ id: reminder.id, status: 'failed', error: emailError.message });
+      // Recurring reminders roll forward once this occurrence has gone out. This
+      // occurrence is already marked sent, so a failure here is only logged.
+      let nextReminder = null;
+      if (delivered) {
+        try {
+          nextReminder = await createNextOccurrence(reminder, now);
+        } catch (recurrenceError) {
+          logger.error('Failed to schedule next occurrence', { reminderId: reminder.id, error: recurrenceError });
+        }
       }
+
+      results.push({
+        id: reminder.id,
+        status: !delivered ? 'failed' : methods.some(method => deliveryStatus[method]?.status === 'sent') ? 'sent' : 'in_digest',
+        channels: deliveryStatus,
+        ...(nextReminder && { nextId: nextReminder.id, nextScheduledFor: nextReminder.scheduled_for })
+      });
+
+    } catch (emailError) {
+      logger.error('Failed to send reminder', { reminderId: dueReminder.id, error: emailError });
+      if (reminder) await releaseReminder(reminder.id);
+      results.push({ id: dueReminder.id, status: 'failed', error: emailError.message });
     }
+  }
 
-    // Check for reminders needing follow-ups
-    console.log('📧 Checking for reminders needing follow-ups...');
-    const followUpDelay = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-    const followUpCutoff = new Date(now.getTime() - followUpDelay).toISOString();
+  // Follow-ups (or archiving, once they run out) that are due under each
+  // reminder's follow-up policy
 
-    const { data: followUpReminders, error: followUpError } = await supabase
-      .from('reminders')
-      .select('*')
-      .eq('sent', true)
-      .eq('completed', false)
-      .or(`last_followup_sent.is.null,last_followup_sent.lt.${followUpCutoff}`)
-      .lte('scheduled_for', followUpCutoff);
+  const followUpReminders = await storage.reminders.listFollowUpsDue(now).catch(error => {
+    logger.error('Error fetching follow-up reminders', { error });
+    return null;
+  });
 
-    if (followUpError) {
-      console.error('❌ Error fetching follow-up reminders:', followUpError);
-    } else {
-      console.log(`📬 Found ${followUpReminders?.length || 0} reminders needing follow-ups`);
+  if (followUpReminders) {
+    logger.debug('Found reminders needing follow-ups', { count: followUpReminders.length });
 
-      for (const reminder of followUpReminders || []) {
-        try {
-          const baseUrl = process.env.FRONTEND_URL || 'https://taskwhisper.jaypwadhwani.com';
-          const completeUrl = `${baseUrl}/complete.html?id=${reminder.id}`;
-          const rescheduleUrl = `${baseUrl}/reschedule.html?id=${reminder.id}`;
-
-          const tasksHtml = (reminder.tasks || []).map(task => `
-            <div style="background: #f9f9f9; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 5px;">
-              <h3 style="margin: 0 0 10px 0; color: #333;">${task.description}</h3>
-            </div>
-          `).join('');
-
-          const htmlContent = `
-            <!DOCTYPE html>
-            <html>
-              <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
-                  <h1 style="color: white; margin: 0; font-size: 28px;">🤔 TaskWhisper Follow-up</h1>
-                </div>
-                <div style="background: white; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
-                  <p style="font-size: 16px; color: #666; margin-bottom: 20px;">
-                    Hey! Did you complete your task? If not, I can remind you again!
-                  </p>
-                  ${tasksHtml}
-                  <div style="margin-top: 30px; text-align: center;">
-                    <a href="${completeUrl}" style="display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 0 10px; font-weight: 600;">✅ Done</a>
-                    <a href="${rescheduleUrl}" style="display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 0 10px; font-weight: 600;">🔄 Reschedule</a>
-                  </div>
-                  <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e0e0e0; text-align: center; color: #999; font-size: 14px;">
-                    <p>Sent from TaskWhisper</p>
-                  </div>
-                </div>
-              </body>
-            </html>
-          `;
-
-          await resend.emails.send({
-            from: 'TaskWhisper <noreply@jaypwadhwani.com>',
-            to: reminder.email,
-            subject: 'Did you complete your task?',
-            html: htmlContent,
+    for (const candidate of followUpReminders) {
+      const policy = resolveFollowUpPolicy(candidate.user?.followup_policy, candidate.followup_policy);
+      const timeZone = resolveTimeZone(candidate.timezone);
+      const followUpCount = candidate.followup_count || 0;
+
+      let reminder = null;
+      try {
+        // Re-check the follow-up state we read so a follow-up another instance
+        // just sent (and released) isn't sent a second time
+        reminder = await claimReminder(candidate.id, {
+          sent: true,
+          completed: false,
+          deleted_at: null,
+          cancelled_at: null,
+          archived_at: null,
+          next_followup_at: candidate.next_followup_at
+        });
+        if (!reminder) {
+          logger.info('Follow-up already claimed elsewhere', { reminderId: candidate.id });
+          continue;
+        }
+
+        // Out of follow-ups: archive as not done, or just stop asking
+        if (followUpCount >= policy.maxFollowUps) {
+          await storage.reminders.update({ id: reminder.id }, {
+            archived_at: policy.autoArchive ? now.toISOString() : null,
+            next_followup_at: null,
+            locked_by: null,
+            locked_until: null
+          });
+
+          logger.info(policy.autoArchive ? 'Archived as not done' : 'Follow-ups finished', { reminderId: reminder.id });
+          results.push({ id: reminder.id, status: policy.autoArchive ? 'archived' : 'followups_finished' });
+          continue;
+        }
+
+        const followUpNumber = followUpCount + 1;
+        const nextStep = nextFollowUpStep(reminder, policy, { from: now, count: followUpNumber, timeZone });
+        const urgent = isUrgentReminder(reminder);
+
+        // Users on a digest see open reminders there instead of in follow-up
+        // emails. Urgent follow-ups also go out by SMS when the policy says so.
+        const methods = reminder.notification_methods?.length ? reminder.notification_methods : ['email'];
+        const onDigest = candidate.user?.digest_frequency && candidate.user.digest_frequency !== 'off';
+        const channels = new Set(methods.filter(method => !(onDigest && method === 'email')));
+        if (urgent && policy.escalateUrgentToSms && verifiedPhoneNumber(reminder, candidate.user) && twilioClient && process.env.TWILIO_FROM_NUMBER) {
+          channels.add('sms');
+        }
+
+        // Nothing left to send on (email-only, on a digest): the digest keeps
+        // listing the reminder, so stop following up without using up the
+        // policy's follow-ups or archiving it
+        if (!channels.size) {
+          await storage.reminders.update({ id: reminder.id }, {
+            next_followup_at: null,
+            locked_by: null,
+            locked_until: null
+          });
+
+          logger.info('Follow-ups left to the digest', { reminderId: reminder.id });
+          results.push({ id: reminder.id, status: 'followup_in_digest' });
+          continue;
+        }
+
+        // Only ask about the tasks that are still open
+        const openTasks = (reminder.tasks || []).filter(task => !task.completed);
+        const email = renderFollowUpEmail({
+          tasks: openTasks,
+          scheduledFor: reminder.scheduled_for,
+          timeZone,
+          urgent,
+          followUpNumber,
+          maxFollowUps: policy.maxFollowUps,
+          nextStep,
+          snooze: snoozeLinks(reminder.id),
+          actions: actionButtons(reminder.id, { doneColor: 'success' })
+        });
+
+        const followupStatus = {};
+
+        if (channels.has('email')) {
+          followupStatus.email = await deliverChannel('email', () => {
+            if (!resend) throw new Error('Resend API key not configured');
+            if (!reminder.email) throw new Error('No email address on reminder');
+            return resend.emails.send({
+              from: 'TaskWhisper <noreply@jaypwadhwani.com>',
+              to: reminder.email,
+              // Replies land on /api/inbound-email when it's set up
+              replyTo: replyAddressFor(reminder.id) || undefined,
+              subject: email.subject,
+              html: email.html,
+              text: email.text,
+            });
           });
+        }
 
-          // Update follow-up tracking
-          await supabase
-            .from('reminders')
-            .update({ 
-              last_followup_sent: now.toISOString(),
-              followup_count: (reminder.followup_count || 0) + 1
-            })
-            .eq('id', reminder.id);
-
-          console.log('✅ Sent follow-up to:', reminder.email);
-          results.push({ id: reminder.id, status: 'followup_sent' });
-
-        } catch (followUpError) {
-          console.error('❌ Failed to send follow-up:', reminder.id, followUpError);
-          results.push({ id: reminder.id, status: 'followup_failed', error: followUpError.message });
+        if (channels.has('sms')) {
+          const firstTask = openTasks[0]?.description || reminder.email_subject || 'your task';
+          const lastCheckIn = followUpNumber >= policy.maxFollowUps ? ' (last check-in)' : '';
+          followupStatus.sms = await deliverChannel('sms', () => {
+            const phoneNumber = verifiedPhoneNumber(reminder, candidate.user);
+            if (!phoneNumber) throw new Error('Phone number on reminder is not verified');
+            return sendSms(phoneNumber, `TaskWhisper: Did you finish "${firstTask}"?${lastCheckIn}${smsActionLines(reminder.id)}`);
+          });
         }
+
+        if (channels.has('push')) {
+          const lastCheckIn = followUpNumber >= policy.maxFollowUps ? ' (last check-in)' : '';
+          followupStatus.push = await deliverChannel('push', () => sendPush(reminder.user_id, reminderNotification(reminder, {
+            title: `Did you finish this?${lastCheckIn}`,
+            body: openTasks.map(task => `• ${task.description}`).join('\n') || reminder.email_subject || 'Your reminder'
+          })));
+        }
+
+        if (!Object.values(followupStatus).some(outcome => outcome.status === 'sent')) {
+          throw new Error(Object.values(followupStatus).map(outcome => outcome.error).join('; ') || 'No channels to follow up on');
+        }
+
+        // Update follow-up tracking
+        await storage.reminders.update({ id: reminder.id }, {
+          last_followup_sent: now.toISOString(),
+          followup_count: followUpNumber,
+          next_followup_at: nextStep ? nextStep.at.toISOString() : null,
+          delivery_status: { ...(reminder.delivery_status || {}), followup: followupStatus },
+          locked_by: null,
+          locked_until: null
+        });
+
+        logger.info('Follow-up sent', { reminderId: reminder.id, followUp: followUpNumber, maxFollowUps: policy.maxFollowUps });
+        results.push({
+          id: reminder.id,
+          status: 'followup_sent',
+          channels: followupStatus,
+          nextFollowUp: nextStep && { action: nextStep.action, at: nextStep.at.toISOString() }
+        });
+
+      } catch (followUpError) {
+        logger.error('Failed to send follow-up', { reminderId: candidate.id, error: followUpError });
+        if (reminder) await releaseReminder(reminder.id);
+        results.push({ id: candidate.id, status: 'followup_failed', error: followUpError.message });
+      }
+    }
+  }
+
+  if (resend) {
+    results.push(...await processDigests(now));
+  }
+
+  return results;
+};
+
+// Send due reminders, follow-ups and digests. Shared by the send-due endpoint
+// and the built-in scheduler; each run's results go into the metrics.
+const processDueReminders = async () => {
+  const start = process.hrtime.bigint();
+  let outcome = 'error';
+  try {
+    const results = await sendDueReminders();
+    outcome = 'ok';
+
+    const counts = {};
+    for (const { status } of results) {
+      sendDueOutcomes.inc({ status });
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    if (results.length) logger.info('Send-due run finished', { processed: results.length, ...counts });
+    return results;
+  } finally {
+    sendDueRuns.inc({ outcome });
+    sendDueDuration.observe({}, secondsSince(start));
+  }
+};
+
+// How far ahead to load reminders for a digest; buildDigestSections applies
+// the exact daily/weekly window
+const DIGEST_LOOKAHEAD_MS = 15 * 24 * 60 * 60 * 1000;
+
+// Send the digests that are due. A user's digest is claimed by moving
+// last_digest_sent_at on from the value we read, so only one instance sends
+// it; if sending fails the old value is put back and it's retried next run.
+const processDigests = async (now) => {
+  const results = [];
+
+  let users;
+  try {
+    users = await storage.users.listDigestSubscribers();
+  } catch (error) {
+    logger.error('Error fetching digest users', { error });
+    return results;
+  }
+
+  for (const user of users) {
+    const timeZone = resolveTimeZone(user.timezone);
+    if (!isDigestDue(user, now, timeZone)) continue;
+
+    let claimed = false;
+    try {
+      const claimedUser = await storage.users.update(
+        { id: user.id, last_digest_sent_at: user.last_digest_sent_at ?? null },
+        { last_digest_sent_at: now.toISOString() }
+      );
+      if (!claimedUser) {
+        logger.info('Digest already claimed elsewhere', { userId: user.id });
+        continue;
+      }
+      claimed = true;
+
+      const reminders = await storage.reminders.listForDigest(user.id, { until: new Date(now.getTime() + DIGEST_LOOKAHEAD_MS) });
+
+      const sections = buildDigestSections(reminders, {
+        now,
+        timeZone,
+        frequency: user.digest_frequency,
+        toItem: reminder => ({
+          subject: reminder.email_subject || 'TaskWhisper Reminder',
+          tasks: (reminder.tasks || []).filter(task => !task.completed),
+          scheduledFor: reminder.scheduled_for,
+          actions: actionButtons(reminder.id)
+        })
+      });
+
+      const [overdue, today, upcoming] = sections.map(section => section.groups.reduce((count, group) => count + group.items.length, 0));
+      if (!overdue && !today && !upcoming) {
+        logger.info('Nothing open for digest', { userId: user.id });
+        results.push({ userId: user.id, status: 'digest_empty' });
+        continue;
+      }
+
+      const email = renderDigestEmail({
+        subject: `Your ${user.digest_frequency} TaskWhisper digest: ${overdue} overdue, ${today} today, ${upcoming} upcoming`,
+        intro: `Good morning! Here is what is on your plate for ${formatInTimeZone(now, timeZone, { hour: undefined, minute: undefined, timeZoneName: undefined })}.`,
+        sections,
+        timeZone
+      });
+
+      const outcome = await deliverChannel('email', () => resend.emails.send({
+        from: 'TaskWhisper <noreply@jaypwadhwani.com>',
+        to: user.email,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+      }));
+      if (outcome.status !== 'sent') throw new Error(outcome.error);
+
+      logger.info('Digest sent', { userId: user.id });
+      results.push({ userId: user.id, status: 'digest_sent', email: outcome });
+
+    } catch (digestError) {
+      logger.error('Failed to send digest', { userId: user.id, error: digestError });
+      if (claimed) {
+        await storage.users.update(
+          { id: user.id, last_digest_sent_at: now.toISOString() },
+          { last_digest_sent_at: user.last_digest_sent_at ?? null }
+        ).catch(resetError => logger.error('Failed to reset digest claim', { userId: user.id, error: resetError }));
       }
+      results.push({ userId: user.id, status: 'digest_failed', error: digestError.message });
+    }
+  }
+
+  return results;
+};
+
+// Check and send due reminders (called by cron with CRON_SECRET as a bearer token)
+app.post('/api/reminders/send-due', async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET) {
+      return res.status(500).json({ success: false, error: 'CRON_SECRET not configured' });
+    }
+    if (!safeEqual(req.headers.authorization || '', `Bearer ${process.env.CRON_SECRET}`)) {
+      return res.status(401).json({ success: false, error: 'Invalid cron secret' });
     }
 
+    if (!resend && !twilioClient && !vapidDetails) {
+      return res.status(500).json({ success: false, error: 'Services not configured' });
+    }
+
+    const results = await processDueReminders();
     res.json({ success: true, processed: results.length, results });
 
   } catch (error) {
-    console.error('❌ Error processing reminders:', error);
+    logger.error('Error processing reminders', { error });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// What each kind of reply does and the confirmation it gets. Returns
+// { status, message, tasks, scheduledFor }.
+const applyEmailReply = async (reminder, intent, timeZone, now) => {
+  switch (intent.intent) {
+    case 'done': {
+      await storage.reminders.update({ id: reminder.id }, { completed: true });
+      return { status: 'completed', message: "Marked as done. Nice work! I won't follow up on it again." };
+    }
+
+    case 'snooze': {
+      const history = [
+        ...(reminder.snooze_history || []),
+        { option: 'reply', label: intent.phrase, from: reminder.scheduled_for, to: intent.until.toISOString(), at: now.toISOString() }
+      ].slice(-MAX_SNOOZE_HISTORY);
+
+      await storage.reminders.update(
+        { id: reminder.id },
+        { ...RESCHEDULE_RESET, scheduled_for: intent.until.toISOString(), snooze_history: history }
+      );
+      return {
+        status: 'snoozed',
+        message: `Snoozed. I'll remind you again on ${formatInTimeZone(intent.until, timeZone)}.`,
+        scheduledFor: intent.until
+      };
+    }
+
+    case 'add': {
+      // Emailed tasks are scheduled emails like those saved in the app, and go
+      // through the same paid analysis as memos, so they use up both daily
+      // quotas. The send quota goes first, so a refused task isn't analyzed.
+      if (!reminder.user_id) {
+        return { status: 'quota_exceeded', message: "I couldn't add that task. Please add it in TaskWhisper instead." };
+      }
+      const quotas = [
+        { metric: 'send_email', limit: DAILY_QUOTAS.sendEmail, label: 'emails and texts' },
+        { metric: 'analyze', limit: DAILY_QUOTAS.analyze, label: 'analyses' }
+      ];
+      for (const { metric, limit, label } of quotas) {
+        const quota = await useDailyQuota({ storage, metric, limit, userId: reminder.user_id, now });
+        if (!quota.allowed) {
+          logger.warn('Daily quota reached', { metric, userId: reminder.user_id });
+          return { status: 'quota_exceeded', message: `${quotaMessage(limit, label)} Please add the task in TaskWhisper then.` };
+        }
+      }
+
+      let analysis;
+      try {
+        analysis = await analyzeTranscript(intent.text, timeZone);
+      } catch (analysisError) {
+        if (!(analysisError instanceof AnalysisValidationError)) throw analysisError;
+        logger.warn('Could not analyze emailed task', { fields: analysisError.fields });
+        return { status: 'add_failed', message: "I couldn't turn that into a task. Please add it in TaskWhisper instead." };
+      }
+
+      const created = await storage.reminders.create({
+        user_id: reminder.user_id,
+        email: reminder.email,
+        transcript: intent.text,
+        tasks: analysis.tasks,
+        email_draft: analysis.emailDraft,
+        email_subject: analysis.emailSubject || 'TaskWhisper Reminder - Your Tasks',
+        scheduled_for: analysis.suggestedSendTime,
+        notification_methods: ['email'],
+        delivery_status: {},
+        recurrence_rule: analysis.recurrence,
+        recurrence_start: analysis.recurrence ? analysis.suggestedSendTime : null,
+        occurrence_index: 0,
+        timezone: timeZone,
+        sent: false,
+        completed: false,
+        last_followup_sent: null,
+        followup_count: 0
+      });
+      return {
+        status: 'added',
+        reminderId: created.id,
+        message: `Added to your reminders. I'll remind you on ${formatInTimeZone(analysis.suggestedSendTime, timeZone)}.`,
+        tasks: analysis.tasks,
+        scheduledFor: analysis.suggestedSendTime
+      };
+    }
+
+    default:
+      return {
+        status: 'not_understood',
+        message: "Sorry, I couldn't tell what you meant. Reply \"done\" when it's finished, \"remind me Friday\" (or any other time) to snooze it, or start with \"add:\" to add a new task."
+      };
+  }
+};
+
+// Replies to reminder and follow-up emails: "done", "remind me Friday" or a
+// new task (see lib/inbound-email.js). Point the inbound provider's webhook
+// here with INBOUND_EMAIL_SECRET as a bearer token or ?secret=. To try it
+// locally, post a saved reply:
+//   curl "localhost:3001/api/inbound-email?secret=..." -H 'Content-Type: message/rfc822' --data-binary @reply.eml
+app.post('/api/inbound-email', express.text({ type: ['message/rfc822', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    if (!process.env.INBOUND_EMAIL_SECRET) {
+      return res.status(500).json({ success: false, error: 'INBOUND_EMAIL_SECRET not configured' });
+    }
+    const secret = req.query.secret || (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!safeEqual(secret, process.env.INBOUND_EMAIL_SECRET)) {
+      return res.status(401).json({ success: false, error: 'Invalid inbound email secret' });
+    }
+
+    // Mail we can't act on is still acknowledged so the provider doesn't retry it
+    const ignore = (reason) => {
+      logger.info('Ignoring inbound email', { reason });
+      return res.json({ success: true, status: 'ignored', reason });
+    };
+
+    const message = parseInboundPayload(req.body);
+    const address = findReplyAddress(message.recipients);
+    if (!address || !verifyReplyToken(address.token, address.reminderId)) return ignore('not_a_reply');
+
+    logger.info('Reply to reminder', { reminderId: address.reminderId, from: message.from });
+
+    const reminder = await storage.reminders.find({ id: address.reminderId, deleted_at: null });
+    if (!reminder) return ignore('reminder_not_found');
+    reminder.user = reminder.user_id ? await storage.users.find({ id: reminder.user_id }) : null;
+
+    // Only the person the reminder went to can act on it by email
+    const senders = [reminder.email, reminder.user?.email].filter(Boolean).map(email => email.toLowerCase());
+    if (!senders.includes(message.from)) return ignore('unknown_sender');
+
+    const now = new Date();
+    const timeZone = resolveTimeZone(reminder.timezone, reminder.user?.timezone);
+    const intent = interpretReply(extractReplyText(message.text), { now, timeZone });
+    const outcome = await applyEmailReply(reminder, intent, timeZone, now);
+    logger.info('Reply handled', { reminderId: reminder.id, status: outcome.status });
+
+    let confirmation = null;
+    if (resend) {
+      const email = renderReplyConfirmationEmail({
+        subject: message.subject || reminder.email_subject,
+        message: outcome.message,
+        tasks: outcome.tasks,
+        scheduledFor: outcome.scheduledFor,
+        timeZone
+      });
+      confirmation = await deliverChannel('email', () => resend.emails.send({
+        from: 'TaskWhisper <noreply@jaypwadhwani.com>',
+        to: message.from,
+        replyTo: replyAddressFor(outcome.reminderId || reminder.id) || undefined,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+      }));
+    }
+
+    res.json({
+      success: true,
+      status: outcome.status,
+      reminderId: reminder.id,
+      ...(outcome.reminderId ? { newReminderId: outcome.reminderId } : {}),
+      confirmation
+    });
+
+  } catch (error) {
+    logger.error('Error handling inbound email', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Built-in scheduler: runs processDueReminders on an interval when
+// REMINDER_SCHEDULER_ENABLED=true. Safe to run on several instances at once
+// because every send goes through claimReminder.
+let schedulerRunning = false;
+
+const runScheduledSend = async () => {
+  // Skip a tick rather than overlap with a slow previous run
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  // Log lines from the run carry its ID, as a request's carry the request ID
+  await withLogContext({ job: 'scheduler', runId: crypto.randomUUID() }, async () => {
+    try {
+      await processDueReminders();
+    } catch (error) {
+      logger.error('Scheduler run failed', { error });
+    } finally {
+      schedulerRunning = false;
+    }
+  });
+};
+
+const startScheduler = () => {
+  if (process.env.REMINDER_SCHEDULER_ENABLED !== 'true') return false;
+  if (!resend && !twilioClient && !vapidDetails) {
+    logger.warn('Reminder scheduler enabled but services not configured, not starting');
+    return false;
+  }
+
+  setInterval(runScheduledSend, SCHEDULER_INTERVAL_MS);
+  runScheduledSend();
+  return true;
+};
+
+// Errors no route handled, such as a body the parsers couldn't read, as JSON
+// like every other API error. The stack stays in the log.
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, code: 'invalid_body', error: 'The request body could not be parsed' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, code: 'body_too_large', error: `The request body can be at most ${error.limit} bytes` });
+  }
+  // Other client errors from the body parsers, e.g. an unsupported charset
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  logger.error('Unhandled error', { error });
+  res.status(500).json({ success: false, error: 'Internal server error' });
+});
+
 app.listen(PORT, () => {
-  console.log(`\n🚀 TaskWhisper Backend Started!`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`📍 Server: http://localhost:${PORT}`);
-  console.log(`🏥 Health: http://localhost:${PORT}/api/health`);
-  console.log(`🎤 Whisper: ${process.env.OPENAI_API_KEY ? '✅ Enabled' : '⚠️  Not configured (using mock)'}`);
-  console.log(`🧠 Claude: ${process.env.ANTHROPIC_API_KEY ? '✅ Enabled' : '⚠️  Not configured'}`);
-  console.log(`📧 Email: ${process.env.RESEND_API_KEY ? '✅ Enabled' : '⚠️  Not configured'}`);
-  console.log(`💾 Database: ${supabase ? '✅ Connected' : '⚠️  Not configured'}`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+  logger.info('TaskWhisper backend started', {
+    url: `http://localhost:${PORT}`,
+    transcriber: transcriber.mock ? 'mock' : `${transcriber.name} (${transcriber.model})`,
+    analyzer: analyzer.name === 'mock' ? 'mock (rule-based)' : `${analyzer.name} (${analyzer.model})`,
+    email: !!process.env.RESEND_API_KEY,
+    sms: !!(twilioClient && process.env.TWILIO_FROM_NUMBER),
+    push: !!vapidDetails,
+    storage: storage.local ? `local ${storage.name}${storage.filePath ? ` (${storage.filePath})` : ''}` : storage.name,
+    emailReplies: getInboundDomain() && process.env.INBOUND_EMAIL_SECRET ? `reply+…@${getInboundDomain()}` : false,
+    scheduler: startScheduler() ? `every ${SCHEDULER_INTERVAL_MS / 1000}s (${INSTANCE_ID})` : false
+  });
 });
\ No newline at end of file
@@ -1,10 +1,16 @@
-const CACHE_NAME = 'taskwhisper-v1';
+importScripts('/offline-queue.js');
+
+const API_URL = 'https://taskwhisper-backend-production.up.railway.app';
+
+const CACHE_NAME = 'taskwhisper-v3';
 const urlsToCache = [
   '/',
   '/index.html',
+  '/offline-queue.js',
   '/favicon.svg',
   '/complete.html',
   '/reschedule.html',
+  '/snooze.html',
   'https://cdn.tailwindcss.com'
 ];
 
@@ -85,3 +91,83 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Background Sync - replay recordings and reminder saves queued while offline,
+// then let open pages know so they can refresh
+self.addEventListener('sync', (event) => {
+  if (event.tag !== TaskWhisperQueue.SYNC_TAG) return;
+
+  console.log('[Service Worker] Syncing offline queue...');
+  event.waitUntil(
+    TaskWhisperQueue.processQueue()
+      .finally(() => self.clients.matchAll().then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: 'queue-updated' }));
+      }))
+  );
+});
+
+// Web Push - show a reminder with Done and Snooze buttons (payload built by
+// buildReminderNotification in lib/push.js)
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  console.log('[Service Worker] Push received:', data.reminderId);
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'TaskWhisper', {
+      body: data.body,
+      tag: data.tag,
+      renotify: true,
+      requireInteraction: true,
+      icon: '/icon-192.png',
+      badge: '/icon-192.png',
+      data,
+      actions: data.reminderId
+        ? [{ action: 'complete', title: '✅ Done' }, { action: 'snooze', title: '😴 Snooze 1 hour' }]
+        : []
+    })
+  );
+});
+
+// Done/Snooze go straight to the API with the notification's action tokens.
+// If that fails the matching page opens instead, and a plain click opens the app.
+const runReminderAction = async (action, data) => {
+  const body = action === 'snooze'
+    ? { option: data.snoozeOption, actionToken: data.tokens.snooze }
+    : { actionToken: data.tokens.complete };
+  const response = await fetch(`${API_URL}/api/reminders/${data.reminderId}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!result.success) throw new Error(result.error || `Request failed (${response.status})`);
+};
+
+const openPage = async (url) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find((client) => client.url === url);
+  return existing ? existing.focus() : self.clients.openWindow(url);
+};
+
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  if (!['complete', 'snooze'].includes(event.action) || !data.reminderId) {
+    event.waitUntil(openPage(new URL('/', self.location.origin).href));
+    return;
+  }
+
+  event.waitUntil(
+    runReminderAction(event.action, data)
+      .then(() => {
+        console.log(`[Service Worker] Reminder ${event.action}:`, data.reminderId);
+        self.clients.matchAll().then((clients) => {
+          clients.forEach((client) => client.postMessage({ type: 'reminders-updated' }));
+        });
+      })
+      .catch((error) => {
+        console.error(`[Service Worker] ${event.action} failed:`, error);
+        return openPage(data.links[event.action]);
+      })
+  );
+});
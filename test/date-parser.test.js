@@ -0,0 +1,87 @@
+// Phrase corpus for lib/date-parser.js. "Now" is Wednesday 5 March 2025,
+// 9:00 in New York, a few days before clocks go forward (9 March), so later
+// dates also check the DST change is handled.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDatePhrase } = require('../lib/date-parser');
+const { getZonedParts } = require('../lib/timezone');
+
+const NOW = new Date('2025-03-05T14:00:00Z');
+const TIME_ZONE = 'America/New_York';
+
+// [phrase, local time expected ('YYYY-MM-DD HH:mm'), hasTime]
+const CORPUS = [
+  ['now', '2025-03-05 09:00', true],
+  ['in 20 minutes', '2025-03-05 09:20', true],
+  ['in two hours', '2025-03-05 11:00', true],
+  ['in half an hour', '2025-03-05 09:30', true],
+  ['in a couple of days', '2025-03-07 09:00', true],
+  ['in a week', '2025-03-12 09:00', true],
+  ['in 3 days at 5pm', '2025-03-08 17:00', true],
+  ['next month', '2025-04-01 09:00', false],
+  ['today', '2025-03-05 09:00', false],
+  ['tonight', '2025-03-05 20:00', true],
+  ['this evening', '2025-03-05 18:00', true],
+  ['tomorrow', '2025-03-06 09:00', false],
+  ['tomorrow morning', '2025-03-06 09:00', true],
+  ['tomorrow at 3', '2025-03-06 15:00', true],
+  ['tomorrow at 3:30 pm', '2025-03-06 15:30', true],
+  ['day after tomorrow', '2025-03-07 09:00', false],
+  ['friday', '2025-03-07 09:00', false],
+  ['this wednesday', '2025-03-05 09:00', false],
+  ['next wednesday', '2025-03-12 09:00', false],
+  ['on monday at 10am', '2025-03-10 10:00', true],
+  ['next week', '2025-03-10 09:00', false],
+  ['this weekend', '2025-03-08 10:00', true],
+  ['next weekend', '2025-03-15 10:00', true],
+  ['end of day', '2025-03-05 17:00', true],
+  ['end of week', '2025-03-07 17:00', true],
+  ['end of month', '2025-03-31 17:00', true],
+  ['january 5', '2026-01-05 09:00', false],
+  ['jan 5th', '2026-01-05 09:00', false],
+  ['5th of march', '2025-03-05 09:00', false],
+  ['12/25', '2025-12-25 09:00', false],
+  ['2025-12-25', '2025-12-25 09:00', false],
+  ['march 10 at noon', '2025-03-10 12:00', true],
+  ['at 3', '2025-03-05 15:00', true],
+  ['at 8', '2025-03-06 08:00', true],
+  ['15:00', '2025-03-05 15:00', true],
+  ['8am', '2025-03-06 08:00', true],
+  ['midnight', '2025-03-05 23:59', true],
+  ['lunch', '2025-03-05 12:00', true],
+  ['Call the dentist Tomorrow at 3', '2025-03-06 15:00', true]
+];
+
+const UNPARSEABLE = ['call mom', 'sometime', '', '   ', null, undefined, 42];
+
+const pad = (value) => String(value).padStart(2, '0');
+const localTime = (date) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, TIME_ZONE);
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+};
+
+for (const [phrase, expected, hasTime] of CORPUS) {
+  test(`parses "${phrase}"`, () => {
+    const result = parseDatePhrase(phrase, { now: NOW, timeZone: TIME_ZONE });
+    assert.ok(result, 'expected a date');
+    assert.strictEqual(localTime(result.date), expected);
+    assert.strictEqual(result.hasTime, hasTime);
+  });
+}
+
+for (const input of UNPARSEABLE) {
+  test(`returns null for ${JSON.stringify(input)}`, () => {
+    assert.strictEqual(parseDatePhrase(input, { now: NOW, timeZone: TIME_ZONE }), null);
+  });
+}
+
+test('uses the offset in force on the day, across a DST change', () => {
+  // 9am EST is 14:00 UTC; the Monday after clocks go forward, 9am EDT is 13:00 UTC
+  assert.strictEqual(parseDatePhrase('tomorrow', { now: NOW, timeZone: TIME_ZONE }).date.toISOString(), '2025-03-06T14:00:00.000Z');
+  assert.strictEqual(parseDatePhrase('next week', { now: NOW, timeZone: TIME_ZONE }).date.toISOString(), '2025-03-10T13:00:00.000Z');
+});
+
+test('defaults to UTC without a timezone', () => {
+  assert.strictEqual(parseDatePhrase('tomorrow at 3pm', { now: NOW }).date.toISOString(), '2025-03-06T15:00:00.000Z');
+});
@@ -0,0 +1,40 @@
+// Which reminders a digest that has gone out already covers (lib/digest.js),
+// so the scheduler only holds back the emails the digest listed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { listedInSentDigest } = require('../lib/digest');
+
+const TIME_ZONE = 'America/New_York';
+// The 8am digest on Wednesday 5 March 2025, New York time
+const DIGEST_SENT_AT = '2025-03-05T13:00:00.000Z';
+
+const user = (extra = {}) => ({ digest_frequency: 'daily', digest_hour: 8, last_digest_sent_at: DIGEST_SENT_AT, ...extra });
+const reminder = (createdAt, scheduledFor) => ({ created_at: createdAt, scheduled_for: scheduledFor });
+
+test('a reminder listed under Today in the morning digest is left to it', () => {
+  // Saved the night before, due at 3pm
+  assert.strictEqual(listedInSentDigest(user(), reminder('2025-03-05T02:00:00Z', '2025-03-05T20:00:00Z'), TIME_ZONE), true);
+  assert.strictEqual(listedInSentDigest(user({ digest_frequency: 'weekly' }), reminder('2025-03-05T02:00:00Z', '2025-03-05T20:00:00Z'), TIME_ZONE), true);
+});
+
+test('a reminder that comes due after the day\'s digest is emailed when the digest never listed it', () => {
+  // Saved at 10am, after the digest went out, and due at 3pm
+  assert.strictEqual(listedInSentDigest(user(), reminder('2025-03-05T15:00:00Z', '2025-03-05T20:00:00Z'), TIME_ZONE), false);
+  // Due tomorrow: the digest only showed it as upcoming
+  assert.strictEqual(listedInSentDigest(user(), reminder('2025-03-05T02:00:00Z', '2025-03-06T15:00:00Z'), TIME_ZONE), false);
+  // A weekly digest days ago doesn't cover today
+  assert.strictEqual(listedInSentDigest(user({ digest_frequency: 'weekly', last_digest_sent_at: '2025-03-03T13:00:00Z' }), reminder('2025-03-01T02:00:00Z', '2025-03-05T20:00:00Z'), TIME_ZONE), false);
+});
+
+test('a reminder due before the digest went out is emailed', () => {
+  assert.strictEqual(listedInSentDigest(user(), reminder('2025-03-05T02:00:00Z', '2025-03-05T12:30:00Z'), TIME_ZONE), false);
+});
+
+test('without a digest sent, or a digest at all, reminders are emailed', () => {
+  const saved = reminder('2025-03-05T02:00:00Z', '2025-03-05T20:00:00Z');
+  assert.strictEqual(listedInSentDigest(user({ last_digest_sent_at: null }), saved, TIME_ZONE), false);
+  assert.strictEqual(listedInSentDigest(user({ digest_frequency: 'off' }), saved, TIME_ZONE), false);
+  assert.strictEqual(listedInSentDigest(null, saved, TIME_ZONE), false);
+  assert.strictEqual(listedInSentDigest(user(), { scheduled_for: '2025-03-05T20:00:00Z' }, TIME_ZONE), false);
+});
@@ -0,0 +1,123 @@
+// Snapshots of the reminder, follow-up and digest emails (lib/email-templates.js):
+// the HTML, and the subject with the plain text. After an intended change to
+// a template, regenerate them with UPDATE_SNAPSHOTS=1 npm test and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { renderReminderEmail, renderFollowUpEmail, renderDigestEmail } = require('../lib/email-templates');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'email-templates');
+const TIME_ZONE = 'America/New_York';
+const BASE_URL = 'https://taskwhisper.example.com';
+const ID = '6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+
+const TASKS = [
+  { description: 'Call the dentist', suggestedDate: 'tomorrow at 3pm', priority: 'high', category: 'health' },
+  { description: 'Pick up the prescription', priority: 'medium' }
+];
+
+const ACTIONS = [
+  { label: '✅ Mark complete', href: `${BASE_URL}/complete.html?id=${ID}&token=abc`, color: 'success' },
+  { label: '📅 Reschedule', href: `${BASE_URL}/reschedule.html?id=${ID}&token=def` }
+];
+
+const SNOOZE = [
+  { label: '1 hour', href: `${BASE_URL}/snooze.html?id=${ID}&option=1h&token=ghi` },
+  { label: 'Tomorrow morning', href: `${BASE_URL}/snooze.html?id=${ID}&option=tomorrow&token=ghi` }
+];
+
+const CASES = {
+  'reminder': () => renderReminderEmail({
+    subject: 'Dentist and prescription',
+    message: 'Two things for tomorrow.\nDon\'t forget the insurance card!',
+    tasks: TASKS,
+    scheduledFor: '2025-03-05T14:00:00Z',
+    timeZone: TIME_ZONE,
+    recurrenceDescription: 'every week on Wednesday',
+    actions: ACTIONS,
+    snooze: SNOOZE
+  }),
+  // Without action links, as sent when ACTION_TOKEN_SECRET isn't set
+  'reminder-plain': () => renderReminderEmail({
+    subject: null,
+    message: null,
+    tasks: [{ description: 'Water the plants' }]
+  }),
+  'reminder-escaped': () => renderReminderEmail({
+    subject: '<b>Bold</b> subject',
+    message: 'Check <script>alert("x")</script> & "quotes"',
+    tasks: [{ description: '<img src=x onerror=alert(1)>', category: 'a & b' }],
+    actions: [{ label: 'Go', href: `${BASE_URL}/?a=1&b="2"` }]
+  }),
+  'followup': () => renderFollowUpEmail({
+    tasks: TASKS,
+    scheduledFor: '2025-03-05T14:00:00Z',
+    timeZone: TIME_ZONE,
+    followUpNumber: 1,
+    maxFollowUps: 3,
+    nextStep: { at: '2025-03-06T14:00:00Z', action: 'followup' },
+    actions: ACTIONS,
+    snooze: SNOOZE
+  }),
+  'followup-urgent-last': () => renderFollowUpEmail({
+    tasks: [TASKS[0]],
+    scheduledFor: '2025-03-05T14:00:00Z',
+    timeZone: TIME_ZONE,
+    urgent: true,
+    followUpNumber: 3,
+    maxFollowUps: 3,
+    nextStep: { at: '2025-03-08T14:00:00Z', action: 'archive' }
+  }),
+  'digest': () => renderDigestEmail({
+    subject: 'Your TaskWhisper digest for Wednesday',
+    timeZone: TIME_ZONE,
+    sections: [
+      {
+        title: 'Today',
+        groups: [
+          {
+            title: 'Health',
+            items: [{ subject: 'Dentist and prescription', tasks: TASKS, scheduledFor: '2025-03-05T19:00:00Z', actions: ACTIONS }]
+          },
+          { title: 'Empty', items: [] }
+        ]
+      },
+      {
+        title: 'Overdue',
+        groups: [
+          { title: 'Home', items: [{ subject: 'Water the plants', tasks: [{ description: 'Water the plants' }], scheduledFor: '2025-03-03T13:00:00Z' }] }
+        ]
+      },
+      { title: 'Nothing here', groups: [{ title: 'None', items: [] }] }
+    ]
+  })
+};
+
+const matchesSnapshot = (name, actual) => {
+  const file = path.join(SNAPSHOT_DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `No snapshot ${name}, run with UPDATE_SNAPSHOTS=1 to write it`);
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `${name} differs from its snapshot`);
+};
+
+for (const [name, render] of Object.entries(CASES)) {
+  test(`${name} email matches its snapshots`, () => {
+    const email = render();
+    matchesSnapshot(`${name}.html`, email.html);
+    matchesSnapshot(`${name}.txt`, `Subject: ${email.subject}\n\n${email.text}`);
+  });
+}
+
+test('user content is escaped in the HTML', () => {
+  const { html } = CASES['reminder-escaped']();
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<img'));
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &quot;quotes&quot;'));
+  assert.ok(html.includes('href="https://taskwhisper.example.com/?a=1&amp;b=&quot;2&quot;"'));
+});
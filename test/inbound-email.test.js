@@ -0,0 +1,84 @@
+// Replies to reminder emails, from saved .eml messages through to what the
+// reply asks for (lib/inbound-email.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRawEmail, findReplyAddress, extractReplyText, interpretReply } = require('../lib/inbound-email');
+
+const NOW = new Date('2025-03-05T14:00:00Z');
+const TIME_ZONE = 'America/New_York';
+const REMINDER_ID = '6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+
+const readReply = (name) => {
+  const message = parseRawEmail(fs.readFileSync(path.join(__dirname, 'fixtures', 'inbound-email', name), 'utf8'));
+  const reply = extractReplyText(message.text);
+  return { message, reply, intent: interpretReply(reply, { now: NOW, timeZone: TIME_ZONE }) };
+};
+
+test('done.eml completes the reminder', () => {
+  const { message, reply, intent } = readReply('done.eml');
+  assert.strictEqual(message.from, 'jay@example.com');
+  assert.deepStrictEqual(findReplyAddress(message.recipients), { reminderId: REMINDER_ID, token: '0123456789abcdef01234567' });
+  assert.strictEqual(reply, 'Done!');
+  assert.deepStrictEqual(intent, { intent: 'done' });
+});
+
+test('snooze.eml snoozes to the time asked for', () => {
+  const { reply, intent } = readReply('snooze.eml');
+  assert.strictEqual(reply, 'Remind me friday at 3pm please');
+  assert.strictEqual(intent.intent, 'snooze');
+  assert.strictEqual(intent.until.toISOString(), '2025-03-07T20:00:00.000Z');
+});
+
+test('add.eml adds a task, with the original message stripped', () => {
+  const { message, reply, intent } = readReply('add.eml');
+  assert.strictEqual(message.subject, 'Re: Call the dentist ✅');
+  assert.strictEqual(reply, 'Add: pick up the prescription tomorrow at 5pm');
+  assert.deepStrictEqual(intent, { intent: 'add', text: 'pick up the prescription tomorrow at 5pm' });
+});
+
+test('not-done.eml snoozes to tomorrow morning rather than adding a task', () => {
+  const { reply, intent } = readReply('not-done.eml');
+  assert.strictEqual(reply, 'Not done yet');
+  assert.strictEqual(intent.intent, 'snooze');
+  assert.strictEqual(intent.until.toISOString(), '2025-03-06T14:00:00.000Z');
+});
+
+test('unknown.eml is not understood, and its signature is stripped', () => {
+  const { reply, intent } = readReply('unknown.eml');
+  assert.strictEqual(reply, 'Call the plumber about the sink');
+  assert.deepStrictEqual(intent, { intent: 'unknown' });
+});
+
+test('extractReplyText strips quoted replies', () => {
+  const cases = [
+    ['Done\n\nOn Wed, Mar 5, 2025 at 9:00 AM TaskWhisper <noreply@example.com> wrote:\n> Did you finish this?', 'Done'],
+    ['later\n-----Original Message-----\nFrom: TaskWhisper', 'later'],
+    ['not yet\n> quoted line\n> another', 'not yet'],
+    ['done\r\n\r\nSent from my iPhone', 'done'],
+    ['done\n________________________________\nFrom: TaskWhisper', 'done']
+  ];
+  for (const [text, expected] of cases) assert.strictEqual(extractReplyText(text), expected);
+});
+
+test('negative replies are snoozes', () => {
+  const tomorrowMorning = '2025-03-06T14:00:00.000Z';
+  for (const reply of ['Not done yet', "Haven't done it", 'haven’t had time', "can't today", "I didn't get to it", 'no, not finished', 'not yet']) {
+    const intent = interpretReply(reply, { now: NOW, timeZone: TIME_ZONE });
+    assert.strictEqual(intent.intent, 'snooze', reply);
+    assert.strictEqual(intent.until.toISOString(), tomorrowMorning, reply);
+  }
+
+  const friday = interpretReply("can't today, remind me friday", { now: NOW, timeZone: TIME_ZONE });
+  assert.strictEqual(friday.until.toISOString(), '2025-03-07T14:00:00.000Z');
+});
+
+test('only asked-for tasks are added', () => {
+  assert.deepStrictEqual(interpretReply('remind me to call mom tomorrow', { now: NOW, timeZone: TIME_ZONE }), { intent: 'add', text: 'call mom tomorrow' });
+  assert.deepStrictEqual(interpretReply('also buy milk', { now: NOW, timeZone: TIME_ZONE }), { intent: 'add', text: 'buy milk' });
+  assert.deepStrictEqual(interpretReply('Thanks for the reminder', { now: NOW, timeZone: TIME_ZONE }), { intent: 'unknown' });
+  assert.deepStrictEqual(interpretReply('ok', { now: NOW, timeZone: TIME_ZONE }), { intent: 'unknown' });
+  assert.deepStrictEqual(interpretReply('', { now: NOW, timeZone: TIME_ZONE }), { intent: 'unknown' });
+});
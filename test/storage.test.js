@@ -0,0 +1,214 @@
+// The local storages (lib/storage/file.js) against the contract in
+// lib/storage/index.js: once in memory and once backed by a JSON file, which
+// is also reopened to check what was written and how old files are migrated.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../lib/storage/file');
+const { FILE_MIGRATIONS, migrate } = require('../lib/storage/file-migrations');
+const { StorageConflictError } = require('../lib/storage/errors');
+
+const NOW = new Date('2025-03-05T14:00:00Z');
+const LATEST_VERSION = FILE_MIGRATIONS[FILE_MIGRATIONS.length - 1].version;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskwhisper-storage-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let files = 0;
+const tempFile = () => path.join(tempDir, `${++files}.json`);
+
+const BACKENDS = {
+  memory: () => createFileStorage(),
+  file: () => createFileStorage({ filePath: tempFile() })
+};
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const reminderRow = (userId, minutes, extra = {}) => ({
+  user_id: userId,
+  email: 'jay@example.com',
+  tasks: [{ description: `Task at ${minutes}` }],
+  scheduled_for: minutesFrom(NOW, minutes).toISOString(),
+  ...extra
+});
+
+for (const [backend, open] of Object.entries(BACKENDS)) {
+  test(`${backend}: creates and finds reminders, filling in defaults`, async () => {
+    const storage = open();
+    const user = await storage.users.upsertByEmail('jay@example.com');
+    const created = await storage.reminders.create(reminderRow(user.id, 30, { scheduled_for: '2025-03-05T09:30:00-05:00' }));
+
+    assert.strictEqual(storage.name, backend);
+    assert.strictEqual(created.scheduled_for, '2025-03-05T14:30:00.000Z');
+    assert.strictEqual(created.sent, false);
+    assert.deepStrictEqual(created.notification_methods, ['email']);
+    assert.deepStrictEqual(await storage.reminders.find({ id: created.id }), created);
+    assert.strictEqual(await storage.reminders.find({ id: 'missing' }), null);
+
+    // Rows handed out are copies, so changing one doesn't change the store
+    created.tasks.push({ description: 'sneaky' });
+    assert.strictEqual((await storage.reminders.find({ id: created.id })).tasks.length, 1);
+  });
+
+  test(`${backend}: rejects a taken unique key`, async () => {
+    const storage = open();
+    const user = await storage.users.upsertByEmail('jay@example.com');
+    await storage.reminders.create(reminderRow(user.id, 10, { idempotency_key: 'save-1' }));
+
+    await assert.rejects(storage.reminders.create(reminderRow(user.id, 20, { idempotency_key: 'save-1' })), StorageConflictError);
+    // An empty column never clashes
+    await storage.reminders.create(reminderRow(user.id, 20));
+    await storage.reminders.create(reminderRow(user.id, 30));
+
+    const series = { series_id: 'series-1', occurrence_index: 1 };
+    assert.ok(await storage.reminders.createOccurrence(reminderRow(user.id, 40, series)));
+    assert.strictEqual(await storage.reminders.createOccurrence(reminderRow(user.id, 40, series)), null);
+  });
+
+  test(`${backend}: claims a reminder until its lock runs out`, async () => {
+    const storage = open();
+    const user = await storage.users.upsertByEmail('jay@example.com');
+    const { id } = await storage.reminders.create(reminderRow(user.id, -5));
+    const lockedUntil = minutesFrom(NOW, 5);
+
+    const first = await storage.reminders.claim({ id, sent: false }, { lockedBy: 'a', lockedUntil, now: NOW });
+    assert.strictEqual(first.locked_by, 'a');
+    assert.strictEqual(first.locked_until, lockedUntil.toISOString());
+
+    assert.strictEqual(await storage.reminders.claim({ id, sent: false }, { lockedBy: 'b', lockedUntil, now: minutesFrom(NOW, 1) }), null);
+
+    const later = minutesFrom(NOW, 6);
+    const second = await storage.reminders.claim({ id, sent: false }, { lockedBy: 'b', lockedUntil: minutesFrom(later, 5), now: later });
+    assert.strictEqual(second.locked_by, 'b');
+
+    await storage.reminders.update({ id }, { sent: true, locked_by: null, locked_until: null });
+    assert.strictEqual(await storage.reminders.claim({ id, sent: false }, { lockedBy: 'c', lockedUntil, now: later }), null);
+  });
+
+  test(`${backend}: lists a user's reminders`, async () => {
+    const storage = open();
+    const jay = await storage.users.upsertByEmail('jay@example.com');
+    const sam = await storage.users.upsertByEmail('sam@example.com');
+    await storage.reminders.create(reminderRow(jay.id, 60));
+    await storage.reminders.create(reminderRow(jay.id, -60));
+    await storage.reminders.create(reminderRow(jay.id, 120, { completed: true }));
+    await storage.reminders.create(reminderRow(jay.id, -30, { sent: true }));
+    await storage.reminders.create(reminderRow(sam.id, -10));
+    // Archived as not done, and cancelled: only listForUser() still returns them
+    await storage.reminders.create(reminderRow(jay.id, -90, { sent: true, archived_at: NOW.toISOString() }));
+    await storage.reminders.create(reminderRow(jay.id, -120, { cancelled_at: NOW.toISOString() }));
+
+    const descriptions = (reminders) => reminders.map(reminder => reminder.tasks[0].description);
+
+    assert.deepStrictEqual(descriptions(await storage.reminders.listForUser(jay.id)), ['Task at -120', 'Task at -90', 'Task at -60', 'Task at -30', 'Task at 60', 'Task at 120']);
+    assert.deepStrictEqual(descriptions(await storage.reminders.listOpen(jay.id, { limit: 2 })), ['Task at -60', 'Task at -30']);
+    assert.deepStrictEqual(descriptions(await storage.reminders.listForDigest(jay.id, { until: NOW })), ['Task at -60', 'Task at -30']);
+
+    // The calendar keeps the latest reminders when there are more than it shows
+    const calendar = await storage.reminders.listForCalendar(jay.id, { completedSince: NOW, limit: 3 });
+    assert.deepStrictEqual(descriptions(calendar), ['Task at 120', 'Task at 60', 'Task at -30']);
+
+    const due = await storage.reminders.listDue(NOW);
+    assert.deepStrictEqual(descriptions(due).sort(), ['Task at -10', 'Task at -60']);
+    assert.deepStrictEqual(due.map(reminder => reminder.user.email).sort(), ['jay@example.com', 'sam@example.com']);
+  });
+
+  test(`${backend}: updates and deletes reminders`, async () => {
+    const storage = open();
+    const user = await storage.users.upsertByEmail('jay@example.com');
+    const { id } = await storage.reminders.create(reminderRow(user.id, -5));
+
+    const updated = await storage.reminders.update({ id }, { completed: true, delivery_status: { email: { status: 'sent' } } });
+    assert.strictEqual(updated.completed, true);
+    assert.deepStrictEqual(updated.delivery_status, { email: { status: 'sent' } });
+    assert.strictEqual(await storage.reminders.update({ id: 'missing' }, { completed: true }), null);
+    // A where clause that no longer matches leaves the row alone
+    assert.strictEqual(await storage.reminders.update({ id, completed: false }, { sent: true }), null);
+
+    // Reminders are deleted softly, and then left out of every list
+    await storage.reminders.update({ id }, { completed: false, deleted_at: NOW.toISOString() });
+    assert.deepStrictEqual(await storage.reminders.listForUser(user.id), []);
+    assert.deepStrictEqual(await storage.reminders.listOpen(user.id, { limit: 10 }), []);
+    assert.deepStrictEqual(await storage.reminders.listDue(NOW), []);
+    assert.strictEqual((await storage.reminders.find({ id })).deleted_at, NOW.toISOString());
+  });
+
+  test(`${backend}: signs in with single-use tokens and sessions`, async () => {
+    const storage = open();
+    const user = await storage.users.upsertByEmail('jay@example.com');
+    assert.strictEqual((await storage.users.upsertByEmail('jay@example.com')).id, user.id);
+
+    await storage.loginTokens.create({ token_hash: 'login', email: user.email, expires_at: minutesFrom(NOW, 15).toISOString() });
+    assert.strictEqual((await storage.loginTokens.consume('login', NOW)).email, user.email);
+    assert.strictEqual(await storage.loginTokens.consume('login', NOW), null);
+
+    await storage.sessions.create({ token_hash: 'session', user_id: user.id, expires_at: minutesFrom(NOW, 60).toISOString() });
+    assert.strictEqual((await storage.sessions.findActive('session', NOW)).user.email, user.email);
+    assert.strictEqual(await storage.sessions.findActive('session', minutesFrom(NOW, 61)), null);
+    await storage.sessions.remove('session');
+    assert.strictEqual(await storage.sessions.findActive('session', NOW), null);
+  });
+
+  test(`${backend}: counts usage per user, day and metric`, async () => {
+    const storage = open();
+    const key = { user_id: 'user-1', day: '2025-03-05', metric: 'analyze' };
+    assert.strictEqual(await storage.usageCounters.increment(key), 1);
+    assert.strictEqual(await storage.usageCounters.increment(key, 2), 3);
+    assert.strictEqual(await storage.usageCounters.increment({ ...key, day: '2025-03-06' }), 1);
+  });
+}
+
+test('file: keeps its data when reopened', async () => {
+  const filePath = tempFile();
+  const storage = createFileStorage({ filePath });
+  const user = await storage.users.upsertByEmail('jay@example.com');
+  const { id } = await storage.reminders.create(reminderRow(user.id, 5));
+  await storage.reminders.update({ id }, { sent: true });
+
+  const reopened = createFileStorage({ filePath });
+  assert.strictEqual((await reopened.reminders.find({ id })).sent, true);
+  assert.strictEqual((await reopened.users.find({ email: 'jay@example.com' })).id, user.id);
+  assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).version, LATEST_VERSION);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('migrations: apply in order, once', () => {
+  const data = { version: 0 };
+  assert.deepStrictEqual(migrate(data), FILE_MIGRATIONS.map(migration => migration.version));
+  assert.strictEqual(data.version, LATEST_VERSION);
+  assert.deepStrictEqual(Object.keys(data.tables).sort(), ['login_tokens', 'push_subscriptions', 'reminders', 'sessions', 'usage_counters', 'users']);
+
+  const before = structuredClone(data);
+  assert.deepStrictEqual(migrate(data), []);
+  assert.deepStrictEqual(data, before);
+});
+
+test('migrations: replay on a file written by an older version', async () => {
+  const filePath = tempFile();
+  const user = { id: 'user-1', email: 'jay@example.com', timezone: 'America/New_York', digest_frequency: 'off', created_at: NOW.toISOString() };
+  fs.writeFileSync(filePath, JSON.stringify({
+    version: 1,
+    tables: { users: [user], login_tokens: [], sessions: [], reminders: [reminderRow('user-1', 5, { id: 'reminder-1' })], push_subscriptions: [] }
+  }));
+
+  const storage = createFileStorage({ filePath });
+  const written = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.strictEqual(written.version, LATEST_VERSION);
+  assert.deepStrictEqual(written.tables.usage_counters, []);
+
+  // New columns get their defaults without overwriting what was there
+  const migrated = await storage.users.find({ id: 'user-1' });
+  assert.strictEqual(migrated.timezone, 'America/New_York');
+  assert.strictEqual(migrated.phone_number, null);
+  assert.strictEqual(migrated.phone_code_attempts, 0);
+  assert.strictEqual((await storage.reminders.find({ id: 'reminder-1' })).user_id, 'user-1');
+  assert.strictEqual(await storage.usageCounters.increment({ user_id: 'user-1', day: '2025-03-05', metric: 'analyze' }), 1);
+
+  // Reopening the migrated file changes nothing more
+  const before = fs.readFileSync(filePath, 'utf8');
+  createFileStorage({ filePath });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+});